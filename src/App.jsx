@@ -1,36 +1,181 @@
 import { useState, useEffect, useRef } from 'react';
 import Keycloak from 'keycloak-js';
 import UserManager from './components/UserManager';
+import UserDetail from './components/UserDetail';
 import AuditLog from './components/AuditLog';
+import GroupManager from './components/GroupManager';
+import RoleManager from './components/RoleManager';
+import ProfilePage from './components/ProfilePage';
+import Link from './components/Link';
+import AdminServiceProvider from './components/AdminServiceProvider';
+import EnvironmentSwitcher from './components/EnvironmentSwitcher';
+import PermissionsPanel, { PermissionNotice } from './components/PermissionsPanel';
+import usePermissions from './hooks/usePermissions';
+import useRoute from './hooks/useRoute';
+import { loadRuntimeConfig, loadSelection, saveSelection } from './services/runtimeConfig';
+import { DEFAULT_PATH, navigate } from './services/router';
 
-// NOTE: You must update this configuration to match your Keycloak server
-const keycloakConfig = {
-  url: 'http://127.0.0.1:8080/', // URL to your Keycloak server
-  realm: 'my-react-app',              // Realm name
-  clientId: 'react-app'           // Client ID
-};
+// Top navigation: [path, label, route names that highlight it]
+const NAV_ITEMS = [
+  ['/users', 'Users', ['users', 'user']],
+  ['/groups', 'Groups', ['groups']],
+  ['/roles', 'Roles', ['roles']],
+  ['/audit', 'Audit Logs', ['audit', 'analytics']],
+  ['/admin-events', 'Admin Events', ['adminEvents']],
+  ['/profile', 'Profile', ['profile']]
+];
+
+// AuditLog tab <-> route
+const AUDIT_TABS = { audit: 'login', analytics: 'analytics', adminEvents: 'admin' };
+const AUDIT_TAB_PATHS = { login: '/audit', analytics: '/audit/analytics', admin: '/admin-events' };
+
+/**
+ * Logged-in layout: header, navigation and the current page, rendered inside
+ * AdminServiceProvider so permissions are probed with the shared admin service.
+ */
+function Dashboard({ keycloak, tokenParsed, userInfo, config, selection, environment, route, onChangeEnvironment, onChangeRealm }) {
+  const permissions = usePermissions(tokenParsed);
+
+  // Remount the pages when the managed realm changes so no state leaks across realms
+  const dashboardKey = `${selection.environment}/${selection.adminRealm}`;
+  const pageProps = { keycloak, permissions };
+
+  const gated = (capability, title, page) => (
+    permissions.can(capability) ? page : <PermissionNotice permissions={permissions} capability={capability} title={title} />
+  );
+
+  const renderPage = () => {
+    switch (route.name) {
+      case 'users':
+        return gated('viewUsers', 'User Management', <UserManager key={`users-${dashboardKey}`} {...pageProps} managedRoles={environment.managedRoles} />);
+      case 'user':
+        return gated('viewUsers', 'User', <UserDetail key={`user-${dashboardKey}-${route.params.id}`} userId={route.params.id} {...pageProps} />);
+      case 'groups':
+        return gated('viewGroups', 'Group Management', <GroupManager key={`groups-${dashboardKey}`} {...pageProps} />);
+      case 'roles':
+        return <RoleManager key={`roles-${dashboardKey}`} {...pageProps} managedRoles={environment.managedRoles} />;
+      case 'audit':
+      case 'analytics':
+      case 'adminEvents':
+        return gated('viewEvents', 'Audit Logs', (
+          <AuditLog
+            key={`audit-${dashboardKey}`}
+            {...pageProps}
+            tab={AUDIT_TABS[route.name]}
+            onTabChange={tab => navigate(`${AUDIT_TAB_PATHS[tab]}${window.location.search}`)}
+          />
+        ));
+      case 'profile':
+        return <ProfilePage keycloak={keycloak} userInfo={userInfo} />;
+      default:
+        return route.path === '/' ? null : (
+          <div style={{ marginTop: '2rem' }}>
+            <h2>Page not found</h2>
+            <p style={{ color: '#94a3b8' }}>Nothing lives at <code>{route.path}</code>. <Link to={DEFAULT_PATH}>Go to users</Link></p>
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="card">
+        <h1>React + Keycloak</h1>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <span style={{ fontSize: '1.2em' }}>Welcome, <strong>{userInfo?.firstName || userInfo?.username}</strong>!</span>
+          <button
+            onClick={() => keycloak.logout()}
+            style={{ padding: '0.4em 1em', fontSize: '0.9em', background: '#334155' }}
+          >
+            Logout
+          </button>
+        </div>
+        <EnvironmentSwitcher
+          config={config}
+          selection={selection}
+          onChangeEnvironment={onChangeEnvironment}
+          onChangeRealm={onChangeRealm}
+        />
+
+        <nav style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', borderBottom: '1px solid #334155' }}>
+          {NAV_ITEMS.map(([path, label, names]) => {
+            const active = names.includes(route.name);
+            return (
+              <Link
+                key={path}
+                to={path}
+                style={{
+                  padding: '0.5rem 1rem', borderRadius: '6px 6px 0 0', textDecoration: 'none',
+                  background: active ? '#334155' : 'transparent',
+                  color: active ? '#e2e8f0' : '#94a3b8'
+                }}
+              >
+                {label}
+              </Link>
+            );
+          })}
+        </nav>
+
+        {renderPage()}
+
+        <PermissionsPanel permissions={permissions} />
+      </div>
+    </div>
+  );
+}
 
 function App() {
+  // Connection settings come from config.json / env variables (see services/runtimeConfig)
+  const [config, setConfig] = useState(null);
+  const [configError, setConfigError] = useState(null);
+  const [selection, setSelection] = useState(null); // { environment, adminRealm }
+
   const [authenticated, setAuthenticated] = useState(false);
   const [userInfo, setUserInfo] = useState(null);
   const [keycloak, setKeycloak] = useState(null);
+  // Copy of keycloak.tokenParsed so permissions follow token refreshes
+  const [tokenParsed, setTokenParsed] = useState(null);
   const [initialized, setInitialized] = useState(false);
-  const isRun = useRef(false);
+  // Environment the current Keycloak instance was created for (guards StrictMode double effects)
+  const initializedFor = useRef(null);
+
+  const [status, setStatus] = useState('Loading configuration...');
+  const route = useRoute();
+  // Instance whose keycloak.login() was started: it navigates away, so don't start it twice.
+  // Per instance, so the new one created by an environment switch redirects again.
+  const loginStartedFor = useRef(null);
+
+  useEffect(() => {
+    loadRuntimeConfig()
+      .then(cfg => {
+        setConfig(cfg);
+        setSelection(loadSelection(cfg));
+      })
+      .catch(err => {
+        console.error("Invalid runtime configuration:", err);
+        setConfigError(err);
+      });
+  }, []);
 
-  const [status, setStatus] = useState('Init...');
+  const environment = config && selection ? config.environments[selection.environment] : null;
 
   useEffect(() => {
-    if (isRun.current) return;
-    isRun.current = true;
+    if (!environment || initializedFor.current === environment.key) return;
+    initializedFor.current = environment.key;
+    // Ignore results of an init that was overtaken by an environment switch
+    const isCurrent = () => initializedFor.current === environment.key;
 
     const initKeycloak = async () => {
-      setStatus('Initializing Keycloak connection...');
-      const kc = new Keycloak(keycloakConfig);
+      setStatus(`Initializing Keycloak connection (${environment.label})...`);
+      const kc = new Keycloak({ url: environment.url, realm: environment.realm, clientId: environment.clientId });
+      kc.onAuthRefreshSuccess = () => {
+        if (isCurrent()) setTokenParsed(kc.tokenParsed);
+      };
 
       // Safety timeout: If Keycloak doesn't respond in 10 seconds, stop loading
       const timeoutId = setTimeout(() => {
         console.warn("Keycloak init timed out");
-        setInitialized(true);
+        if (isCurrent()) setInitialized(true);
         // We do not set 'authenticated' safely here, but we unblock the UI
       }, 10000);
 
@@ -45,8 +190,10 @@ function App() {
         console.log("Keycloak init finished. Auth:", auth);
 
         clearTimeout(timeoutId);
+        if (!isCurrent()) return;
         setKeycloak(kc);
         setAuthenticated(auth);
+        setTokenParsed(kc.tokenParsed || null);
 
         if (auth) {
           setStatus('Loading user profile...');
@@ -58,93 +205,116 @@ function App() {
         alert("Keycloak Connection Error: " + (error?.message || "Unknown error. Check console."));
       } finally {
         clearTimeout(timeoutId);
-        setInitialized(true);
+        if (isCurrent()) setInitialized(true);
       }
     };
 
     initKeycloak();
-  }, []);
+  }, [environment]);
+
+  useEffect(() => {
+    if (route.path === '/') navigate(DEFAULT_PATH, { replace: true });
+  }, [route.path]);
+
+  // Every page needs a login: send visitors to Keycloak and bring them back to this exact URL
+  useEffect(() => {
+    if (!initialized || !keycloak || authenticated || loginStartedFor.current === keycloak) return;
+    loginStartedFor.current = keycloak;
+    keycloak.login({ redirectUri: window.location.href });
+  }, [initialized, keycloak, authenticated]);
+
+  // A user id only means something in the realm it came from
+  const leaveUserPage = () => {
+    if (route.name === 'user') navigate('/users');
+  };
+
+  const switchEnvironment = (key) => {
+    const next = { environment: key, adminRealm: config.environments[key].adminRealms[0] };
+    saveSelection(next);
+    // The session belongs to the old server/realm; drop it and start over with a new instance
+    keycloak?.clearToken();
+    setKeycloak(null);
+    setTokenParsed(null);
+    setAuthenticated(false);
+    setUserInfo(null);
+    setInitialized(false);
+    setSelection(next);
+    leaveUserPage();
+  };
+
+  const switchRealm = (adminRealm) => {
+    const next = { ...selection, adminRealm };
+    saveSelection(next);
+    setSelection(next);
+    leaveUserPage();
+  };
+
+  if (configError) {
+    return (
+      <div className="card" style={{ textAlign: 'center' }}>
+        <h2>Configuration Error</h2>
+        <p style={{ color: '#f87171' }}>{configError.message}</p>
+      </div>
+    );
+  }
 
   if (!initialized) {
     return (
       <div className="card" style={{ textAlign: 'center' }}>
         <h2>Loading Keycloak...</h2>
         <p style={{ color: '#94a3b8' }}>{status}</p>
-        <p style={{ fontSize: '0.8em', marginTop: '1rem' }}>
-          Takes too long? Ensure Keycloak is running at <br />
-          <code>{keycloakConfig.url}</code> <br />
-          and allows Web Origin: <code>{window.location.origin}</code>
-        </p>
+        {environment && (
+          <p style={{ fontSize: '0.8em', marginTop: '1rem' }}>
+            Takes too long? Ensure Keycloak is running at <br />
+            <code>{environment.url}</code> <br />
+            and allows Web Origin: <code>{window.location.origin}</code>
+          </p>
+        )}
       </div>
     );
   }
 
-  return (
-    <div className="container">
-      <div className="card">
-        <h1>React + Keycloak</h1>
-        {/* User Management Section */}
-        <UserManager keycloak={keycloak} />
-
-        {/* Audit Log Section */}
-        <AuditLog keycloak={keycloak} />
-        {!authenticated ? (
-          <div style={{ textAlign: 'center' }}>
-            <p style={{ marginBottom: '1.5rem', fontSize: '1.1em' }}>
-              Secure integration with Keycloak.
-              <br />
-              <span style={{ fontSize: '0.9em', color: '#94a3b8' }}>
-                (Please configure <code>keycloakConfig</code> in App.jsx first)
-              </span>
-            </p>
-            <button onClick={() => keycloak.login()}>
-              Login with Keycloak
-            </button>
-          </div>
-        ) : (
-          <div>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
-              <span style={{ fontSize: '1.2em' }}>Welcome, <strong>{userInfo?.firstName || userInfo?.username}</strong>!</span>
-              <button
-                onClick={() => keycloak.logout()}
-                style={{ padding: '0.4em 1em', fontSize: '0.9em', background: '#334155' }}
-              >
-                Logout
-              </button>
-            </div>
-
-            <div className="user-info">
-              <h3 style={{ marginTop: 0, borderBottom: '1px solid #334155', paddingBottom: '0.5rem' }}>User Profile</h3>
-              <div className="field-group">
-                <label>Username</label>
-                <input readOnly value={userInfo?.username || ''} />
-              </div>
-              <div className="field-group">
-                <label>Email</label>
-                <input readOnly value={userInfo?.email || ''} />
-              </div>
-              <div className="field-group">
-                <label>Full Name</label>
-                <input readOnly value={`${userInfo?.firstName || ''} ${userInfo?.lastName || ''}`} />
-              </div>
-
-              <h3 style={{ marginTop: '1.5rem', borderBottom: '1px solid #334155', paddingBottom: '0.5rem' }}>Debug Info</h3>
-              <label>Raw JSON Data:</label>
-              <pre style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', fontSize: '0.85em', overflowX: 'auto' }}>
-                {JSON.stringify(userInfo, null, 2)}
-              </pre>
-
-              <label style={{ marginTop: '1rem' }}>Access Token (Truncated):</label>
-              <code style={{ display: 'block', wordBreak: 'break-all', fontSize: '0.8rem', color: '#94a3b8' }}>
-                {keycloak.token ? keycloak.token.substring(0, 50) + '...' : 'None'}
-              </code>
-            </div>
-
+  if (!keycloak) {
+    return (
+      <div className="card" style={{ textAlign: 'center' }}>
+        <h2>Keycloak Unavailable</h2>
+        <p style={{ color: '#94a3b8' }}>
+          Could not connect to <code>{environment.url}</code>.
+          <br />
+          <span style={{ fontSize: '0.9em' }}>
+            (Connection settings come from <code>config.json</code> or <code>VITE_KEYCLOAK_*</code> variables)
+          </span>
+        </p>
+        <button onClick={() => window.location.reload()}>Retry</button>
+      </div>
+    );
+  }
 
-          </div>
-        )}
+  if (!authenticated) {
+    return (
+      <div className="card" style={{ textAlign: 'center' }}>
+        <h2>Redirecting to login...</h2>
+        <button onClick={() => keycloak.login({ redirectUri: window.location.href })}>
+          Login with Keycloak
+        </button>
       </div>
-    </div>
+    );
+  }
+
+  return (
+    <AdminServiceProvider keycloak={keycloak} realm={selection.adminRealm}>
+      <Dashboard
+        keycloak={keycloak}
+        tokenParsed={tokenParsed}
+        userInfo={userInfo}
+        config={config}
+        selection={selection}
+        environment={environment}
+        route={route}
+        onChangeEnvironment={switchEnvironment}
+        onChangeRealm={switchRealm}
+      />
+    </AdminServiceProvider>
   );
 }
 
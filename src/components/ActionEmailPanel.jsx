@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import RequiredActionsPicker from './RequiredActionsPicker';
+import { DEFAULT_ACTION_EMAIL_OPTIONS } from '../services/userProfile';
+
+// Link validity choices, in seconds
+const LIFESPANS = [
+    { seconds: 3600, label: '1 hour' },
+    { seconds: 43200, label: '12 hours' },
+    { seconds: 86400, label: '1 day' },
+    { seconds: 259200, label: '3 days' },
+    { seconds: 604800, label: '7 days' }
+];
+
+/**
+ * Link lifespan and where to send the user afterwards, for execute-actions-email.
+ * `value` has the shape of DEFAULT_ACTION_EMAIL_OPTIONS.
+ */
+export function ActionEmailOptions({ value, onChange, disabled = false }) {
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+            <label style={{ marginBottom: 0, fontSize: '0.85em' }}>Link valid for</label>
+            <select
+                value={value.lifespan}
+                disabled={disabled}
+                onChange={e => onChange({ ...value, lifespan: Number(e.target.value) })}
+                style={{ width: 'auto', marginBottom: 0 }}
+            >
+                {LIFESPANS.map(l => <option key={l.seconds} value={l.seconds}>{l.label}</option>)}
+            </select>
+            <input
+                placeholder="Client ID (optional)"
+                value={value.clientId}
+                disabled={disabled}
+                onChange={e => onChange({ ...value, clientId: e.target.value })}
+                style={{ flex: '1 1 140px', marginBottom: 0 }}
+            />
+            <input
+                placeholder="Redirect URI after the actions (needs client ID)"
+                value={value.redirectUri}
+                disabled={disabled || !value.clientId.trim()}
+                onChange={e => onChange({ ...value, redirectUri: e.target.value })}
+                style={{ flex: '2 1 220px', marginBottom: 0 }}
+            />
+        </div>
+    );
+}
+
+/**
+ * "Send action email" section of the user edit modal. Sends immediately,
+ * independent of the modal's Save button.
+ */
+export default function ActionEmailPanel({ adminService, user }) {
+    const [actions, setActions] = useState(['UPDATE_PASSWORD']);
+    const [options, setOptions] = useState(DEFAULT_ACTION_EMAIL_OPTIONS);
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState(null); // { ok, message }
+
+    const send = async () => {
+        setBusy(true);
+        setResult(null);
+        try {
+            await adminService.executeActionsEmail(user.id, actions, {
+                lifespan: options.lifespan,
+                clientId: options.clientId.trim(),
+                redirectUri: options.redirectUri.trim()
+            });
+            setResult({ ok: true, message: `Email sent to ${user.email}` });
+        } catch (err) {
+            console.error(err);
+            setResult({ ok: false, message: err.errorMessage || err.message });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!user.email) {
+        return <div style={{ color: '#94a3b8', fontStyle: 'italic', fontSize: '0.9em' }}>The user has no email address.</div>;
+    }
+
+    return (
+        <div style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', border: '1px solid #334155' }}>
+            <RequiredActionsPicker value={actions} onChange={setActions} disabled={busy} />
+            <div style={{ marginTop: '0.8rem' }}>
+                <ActionEmailOptions value={options} onChange={setOptions} disabled={busy} />
+            </div>
+            <div style={{ display: 'flex', gap: '0.8rem', alignItems: 'center', marginTop: '0.8rem' }}>
+                <button
+                    type="button"
+                    disabled={busy || actions.length === 0}
+                    onClick={send}
+                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#2563eb' }}
+                >
+                    {busy ? 'Sending...' : 'Send Email'}
+                </button>
+                {result && (
+                    <span style={{ fontSize: '0.85em', color: result.ok ? '#34d399' : '#f87171' }}>{result.message}</span>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,270 @@
+import { useState, useEffect, useRef } from 'react';
+import ErrorBanner from './ErrorBanner';
+import EventExportControls from './EventExportControls';
+import { flattenAdminEvent, ADMIN_EVENT_COLUMNS } from '../services/eventExport';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useQuery from '../hooks/useQuery';
+import { OPERATION_TYPES, RESOURCE_TYPES, parseRepresentation, describeRoleMappingChange } from '../services/adminEvents';
+
+const EMPTY_FILTERS = {
+    operationTypes: [],
+    resourceTypes: [],
+    resourcePath: '',
+    authUser: '',
+    authClient: '',
+    authIpAddress: '',
+    dateFrom: '',
+    dateTo: ''
+};
+
+const NO_EVENTS = [];
+
+const OPERATION_COLORS = { CREATE: '#34d399', UPDATE: '#60a5fa', DELETE: '#f87171', ACTION: '#fbbf24' };
+
+function EventDetails({ evt }) {
+    const roleChange = describeRoleMappingChange(evt);
+    const representation = parseRepresentation(evt);
+
+    return (
+        <div style={{ padding: '0.5rem 1rem 1rem' }}>
+            {roleChange && (
+                <div style={{ marginBottom: '0.5rem' }}>
+                    {roleChange.roles.length === 0 ? (
+                        <span style={{ color: '#94a3b8' }}>Role mapping {roleChange.change} (enable "Include Representation" to see which roles)</span>
+                    ) : roleChange.roles.map(role => (
+                        <div key={role} style={{ fontFamily: 'monospace', color: roleChange.change === 'granted' ? '#34d399' : '#f87171' }}>
+                            {roleChange.change === 'granted' ? '+' : '−'} {role}
+                        </div>
+                    ))}
+                </div>
+            )}
+            {evt.error && <div style={{ color: '#f87171', marginBottom: '0.5rem' }}>Error: {evt.error}</div>}
+            {representation ? (
+                <pre style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', fontSize: '0.8em', overflowX: 'auto', margin: 0 }}>
+                    {typeof representation === 'string' ? representation : JSON.stringify(representation, null, 2)}
+                </pre>
+            ) : (
+                <span style={{ color: '#64748b', fontSize: '0.85em' }}>No representation stored for this event.</span>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Admin events (/admin-events): who changed what through the Admin API, including this dashboard.
+ */
+export default function AdminEventsLog({ keycloak, adminService }) {
+    const [expanded, setExpanded] = useState(null);
+    const [userNames, setUserNames] = useState({}); // authDetails.userId -> username
+
+    const [page, setPage] = useState(0);
+    const [pageSize] = useState(10);
+
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const debouncedFilters = useDebouncedValue(filters, 400);
+    const [appliedFilters, setAppliedFilters] = useState(debouncedFilters);
+    if (appliedFilters !== debouncedFilters) {
+        setAppliedFilters(debouncedFilters);
+        setPage(0);
+    }
+
+    // Always fetched afresh; a newer page or filter cancels the request for this one
+    const eventsQuery = useQuery(
+        ['events', 'admin', appliedFilters, page, pageSize],
+        svc => svc.getAdminEvents(page * pageSize, pageSize, appliedFilters),
+        { staleMs: 0 }
+    );
+    const events = eventsQuery.data || NO_EVENTS;
+    const { loading, error } = eventsQuery;
+
+    // Collapse the expanded row whenever a different list is shown
+    const [shownEvents, setShownEvents] = useState(events);
+    if (shownEvents !== events) {
+        setShownEvents(events);
+        setExpanded(null);
+    }
+
+    // Best effort: show usernames instead of IDs (admins from the master realm stay as IDs)
+    const requestedUserIds = useRef(new Set());
+    useEffect(() => {
+        const unknown = [...new Set(events.map(e => e.authDetails?.userId).filter(id => id && !requestedUserIds.current.has(id)))];
+        unknown.forEach(id => {
+            requestedUserIds.current.add(id);
+            adminService.getUser(id)
+                .then(u => setUserNames(prev => ({ ...prev, [id]: u.username })))
+                .catch(() => setUserNames(prev => ({ ...prev, [id]: null })));
+        });
+    }, [adminService, events]);
+
+    const update = (patch) => setFilters(f => ({ ...f, ...patch }));
+    const toggleIn = (key, value) => setFilters(f => ({
+        ...f,
+        [key]: f[key].includes(value) ? f[key].filter(v => v !== value) : [...f[key], value]
+    }));
+
+    const inputStyle = { marginBottom: 0 };
+
+    return (
+        <div>
+            <div style={{
+                padding: '1rem', background: '#0f172a', borderRadius: '6px', border: '1px solid #334155',
+                marginBottom: '1rem', textAlign: 'left'
+            }}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginBottom: '0.8rem' }}>
+                    {OPERATION_TYPES.map(op => (
+                        <label key={op} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', marginBottom: 0, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={filters.operationTypes.includes(op)}
+                                onChange={() => toggleIn('operationTypes', op)}
+                                style={{ width: 'auto', marginBottom: 0 }}
+                            />
+                            <span style={{ color: OPERATION_COLORS[op] }}>{op}</span>
+                        </label>
+                    ))}
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '0.8rem' }}>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Resource Types</label>
+                        <select
+                            multiple
+                            value={filters.resourceTypes}
+                            onChange={e => update({ resourceTypes: [...e.target.selectedOptions].map(o => o.value) })}
+                            style={{ height: '5.5rem' }}
+                        >
+                            {RESOURCE_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Resource Path</label>
+                        <input value={filters.resourcePath} placeholder="users/*" onChange={e => update({ resourcePath: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Auth User (ID)</label>
+                        <input value={filters.authUser} onChange={e => update({ authUser: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Auth Client (ID)</label>
+                        <input value={filters.authClient} onChange={e => update({ authClient: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>IP Address</label>
+                        <input value={filters.authIpAddress} onChange={e => update({ authIpAddress: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>From</label>
+                        <input type="date" value={filters.dateFrom} onChange={e => update({ dateFrom: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>To</label>
+                        <input type="date" value={filters.dateTo} onChange={e => update({ dateTo: e.target.value })} style={inputStyle} />
+                    </div>
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.8rem' }}>
+                    <button onClick={() => setFilters(EMPTY_FILTERS)} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#475569' }}>
+                        Clear Filters
+                    </button>
+                    <button onClick={eventsQuery.refetch} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', backgroundColor: '#3b82f6' }}>
+                        ↻ Refresh
+                    </button>
+                    <div style={{ marginLeft: 'auto' }}>
+                        <EventExportControls
+                            fetchPage={(first, max, signal) => adminService.withSignal(signal).getAdminEvents(first, max, appliedFilters)}
+                            flatten={flattenAdminEvent}
+                            columns={ADMIN_EVENT_COLUMNS}
+                            filenamePrefix={`admin-events-${adminService.realm}`}
+                        />
+                    </div>
+                </div>
+            </div>
+
+            <ErrorBanner
+                error={error}
+                keycloak={keycloak}
+                forbiddenHint={
+                    <>
+                        You need <strong>view-events</strong> (or realm-admin) permission.<br />
+                        <small>Also enable "Save Admin Events" in Realm Settings &gt; Events &gt; Admin events settings.</small>
+                    </>
+                }
+            />
+
+            {loading && <p>Loading admin events...</p>}
+
+            {!loading && (
+                <>
+                    <div className="user-info" style={{ padding: 0, overflow: 'hidden' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
+                            <thead style={{ background: '#1e293b' }}>
+                                <tr>
+                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Time</th>
+                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Operation</th>
+                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Resource</th>
+                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>By</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {events.map((evt, idx) => {
+                                    const rowKey = evt.time + '-' + idx;
+                                    const authUserId = evt.authDetails?.userId;
+                                    return [
+                                        <tr
+                                            key={rowKey}
+                                            onClick={() => setExpanded(expanded === rowKey ? null : rowKey)}
+                                            style={{ borderBottom: '1px solid #334155', cursor: 'pointer' }}
+                                        >
+                                            <td style={{ padding: '1rem', fontSize: '0.9em', color: '#94a3b8' }}>
+                                                {expanded === rowKey ? '▾ ' : '▸ '}{new Date(evt.time).toLocaleString()}
+                                            </td>
+                                            <td style={{ padding: '1rem' }}>
+                                                <span style={{ fontSize: '0.85em', fontWeight: 'bold', color: OPERATION_COLORS[evt.operationType] }}>
+                                                    {evt.operationType}
+                                                </span>
+                                                <div style={{ fontSize: '0.8em', color: '#64748b' }}>{evt.resourceType}</div>
+                                            </td>
+                                            <td style={{ padding: '1rem', fontSize: '0.85em', wordBreak: 'break-all' }}>{evt.resourcePath}</td>
+                                            <td style={{ padding: '1rem' }}>
+                                                <div style={{ fontWeight: '500' }}>{userNames[authUserId] || authUserId || 'Unknown'}</div>
+                                                <div style={{ fontSize: '0.8em', color: '#64748b' }}>{evt.authDetails?.ipAddress}</div>
+                                            </td>
+                                        </tr>,
+                                        expanded === rowKey && (
+                                            <tr key={rowKey + '-details'} style={{ borderBottom: '1px solid #334155', background: '#1e293b' }}>
+                                                <td colSpan="4"><EventDetails evt={evt} /></td>
+                                            </tr>
+                                        )
+                                    ];
+                                })}
+                                {events.length === 0 && (
+                                    <tr>
+                                        <td colSpan="4" style={{ padding: '2rem', textAlign: 'center', color: '#94a3b8' }}>
+                                            No admin events found. (Ensure "Save Admin Events" is ON in Keycloak)
+                                        </td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginTop: '1rem' }}>
+                        <button
+                            disabled={page === 0}
+                            onClick={() => setPage(Math.max(0, page - 1))}
+                            style={{ background: page === 0 ? '#1e293b' : '#334155', cursor: page === 0 ? 'not-allowed' : 'pointer' }}
+                        >
+                            Previous
+                        </button>
+                        <span style={{ alignSelf: 'center' }}>Page {page + 1}</span>
+                        <button
+                            disabled={events.length < pageSize}
+                            onClick={() => setPage(page + 1)}
+                            style={{ background: events.length < pageSize ? '#1e293b' : '#334155', cursor: events.length < pageSize ? 'not-allowed' : 'pointer' }}
+                        >
+                            Next
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
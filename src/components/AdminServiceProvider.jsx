@@ -0,0 +1,17 @@
+import { useMemo } from 'react';
+import KeycloakAdminService from '../services/keycloakAdmin';
+import QueryCache from '../services/queryCache';
+import { AdminServiceContext } from '../services/adminServiceContext';
+
+/**
+ * One KeycloakAdminService and one QueryCache for everything below, recreated only
+ * when the Keycloak instance or the managed realm changes. Read with useAdminService().
+ */
+export default function AdminServiceProvider({ keycloak, realm, children }) {
+    const value = useMemo(() => ({
+        adminService: new KeycloakAdminService(keycloak, { realm }),
+        queries: new QueryCache()
+    }), [keycloak, realm]);
+
+    return <AdminServiceContext.Provider value={value}>{children}</AdminServiceContext.Provider>;
+}
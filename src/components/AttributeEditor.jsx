@@ -0,0 +1,60 @@
+/**
+ * Key/value editor for Keycloak user attributes.
+ * `rows` is a list of { key, value }; repeat a key to give an attribute several values.
+ */
+export default function AttributeEditor({ rows, onChange }) {
+    const updateRow = (idx, patch) => onChange(rows.map((row, i) => (i === idx ? { ...row, ...patch } : row)));
+    const removeRow = (idx) => onChange(rows.filter((_, i) => i !== idx));
+    const addRow = (key = '') => onChange([...rows, { key, value: '' }]);
+
+    return (
+        <div style={{
+            background: '#0f172a', padding: '1rem', borderRadius: '6px',
+            border: '1px solid #334155', maxHeight: '200px', overflowY: 'auto'
+        }}>
+            {rows.length === 0 && (
+                <div style={{ color: '#94a3b8', fontStyle: 'italic', marginBottom: '0.5rem' }}>No attributes</div>
+            )}
+            {rows.map((row, idx) => (
+                <div key={idx} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center' }}>
+                    <input
+                        placeholder="key"
+                        value={row.key}
+                        onChange={e => updateRow(idx, { key: e.target.value })}
+                        style={{ flex: 1, marginBottom: 0 }}
+                    />
+                    <input
+                        placeholder="value"
+                        value={row.value}
+                        onChange={e => updateRow(idx, { value: e.target.value })}
+                        style={{ flex: 2, marginBottom: 0 }}
+                    />
+                    <button
+                        type="button"
+                        title="Add another value for this key"
+                        disabled={!row.key.trim()}
+                        onClick={() => addRow(row.key)}
+                        style={{ padding: '0.3rem 0.6rem', fontSize: '0.85em', background: '#334155' }}
+                    >
+                        +
+                    </button>
+                    <button
+                        type="button"
+                        title="Remove"
+                        onClick={() => removeRow(idx)}
+                        style={{ padding: '0.3rem 0.6rem', fontSize: '0.85em', background: '#7f1d1d' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                onClick={() => addRow()}
+                style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#334155' }}
+            >
+                + Add Attribute
+            </button>
+        </div>
+    );
+}
@@ -1,11 +1,23 @@
 import { useState, useEffect } from 'react';
-import KeycloakAdminService from '../services/keycloakAdmin';
-
-export default function AuditLog({ keycloak }) {
-    const [events, setEvents] = useState([]);
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
+import ErrorBanner from './ErrorBanner';
+import AdminEventsLog from './AdminEventsLog';
+import SecurityAnalytics from './SecurityAnalytics';
+import LoginEventFilters from './LoginEventFilters';
+import EventExportControls from './EventExportControls';
+import { LockoutLink } from './LockoutBadge';
+import { flattenLoginEvent, LOGIN_EVENT_COLUMNS } from '../services/eventExport';
+import useAdminService from '../hooks/useAdminService';
+import useQuery from '../hooks/useQuery';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useLiveTail from '../hooks/useLiveTail';
+import { eventFingerprint, LIVE_BATCH_SIZE } from '../services/liveTail';
+import { eventFiltersFromQuery, writeEventFiltersToQuery } from '../services/eventFilters';
 
+/**
+ * Audit Logs section. The active tab comes from the route (/audit, /audit/analytics,
+ * /admin-events); onTabChange asks the parent to navigate.
+ */
+export default function AuditLog({ keycloak, permissions, tab = 'login', onTabChange }) {
     // Pagination
     const [page, setPage] = useState(0); // 0-indexed
     const [pageSize] = useState(10);
@@ -13,123 +25,224 @@ export default function AuditLog({ keycloak }) {
     // so we might just implement "Next/Prev" without knowing max pages, or just infinite scroll.
     // For simplicity: Next/Prev buttons.
 
-    const adminService = new KeycloakAdminService(keycloak);
-
-    const loadEvents = async () => {
-        setLoading(true);
-        setError(null);
-        try {
-            const first = page * pageSize;
-            const data = await adminService.getEvents(first, pageSize);
-            setEvents(data || []);
-        } catch (err) {
-            console.error(err);
-            // Check for 403 Access Denied
-            if (err.message && (err.message.includes("403") || err.message.includes("Access Denied"))) {
-                setError(
-                    <span>
-                        Access Denied. You need <strong>view-events</strong> (or realm-admin) permission.<br />
-                        <small>Check Keycloak: Users &gt; [Your User] &gt; Role Mapping &gt; Client Roles (realm-management) &gt; view-events</small>
-                    </span>
-                );
-            } else {
-                setError(err.message);
-            }
-        } finally {
-            setLoading(false);
-        }
-    };
+    // Filters start from the URL so a shared link reopens the same investigation
+    const [filters, setFilters] = useState(() => eventFiltersFromQuery(window.location.search));
+    const debouncedFilters = useDebouncedValue(filters, 400);
+    const [appliedFilters, setAppliedFilters] = useState(debouncedFilters);
+    if (appliedFilters !== debouncedFilters) {
+        setAppliedFilters(debouncedFilters);
+        setPage(0);
+    }
+
+    const { adminService } = useAdminService();
+
+    // Live mode polls the newest events instead of showing a fixed page
+    const [live, setLive] = useState(false);
+    const liveTail = useLiveTail(
+        () => adminService.getEvents(0, LIVE_BATCH_SIZE, appliedFilters),
+        { enabled: live && tab === 'login', resetKey: appliedFilters }
+    );
 
     useEffect(() => {
-        loadEvents();
-    }, [page]); // Reload when page changes
+        const params = writeEventFiltersToQuery(appliedFilters, new URLSearchParams(window.location.search));
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }, [appliedFilters]);
+
+    // Events keep arriving, so never reuse a cached page; a newer page or filter cancels this one
+    const eventsQuery = useQuery(
+        ['events', 'login', appliedFilters, page, pageSize],
+        svc => svc.getEvents(page * pageSize, pageSize, appliedFilters),
+        { enabled: tab === 'login' && !live, staleMs: 0 }
+    );
+    const events = eventsQuery.data || [];
+    const loading = eventsQuery.loading;
+    const error = eventsQuery.error;
+
+    const toggleLive = () => {
+        // Leaving live mode re-enables the page query, which fetches afresh (staleMs 0)
+        setLive(l => !l);
+    };
+
+    const rows = live ? liveTail.events : events;
 
     return (
         <div style={{ marginTop: '2rem' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
-                <h2>Audit Logs (Login/Logout)</h2>
-                <button onClick={loadEvents} style={{ backgroundColor: '#3b82f6' }}>
-                    ↻ Refresh
-                </button>
+                <h2>Audit Logs</h2>
+                {tab === 'login' && (
+                    <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                        <EventExportControls
+                            fetchPage={(first, max, signal) => adminService.withSignal(signal).getEvents(first, max, appliedFilters)}
+                            flatten={flattenLoginEvent}
+                            columns={LOGIN_EVENT_COLUMNS}
+                            filenamePrefix={`login-events-${adminService.realm}`}
+                        />
+                        <button onClick={toggleLive} style={{ backgroundColor: live ? '#dc2626' : '#475569' }}>
+                            {live ? '■ Stop Live' : '● Live'}
+                        </button>
+                        {!live && (
+                            <button onClick={eventsQuery.refetch} style={{ backgroundColor: '#3b82f6' }}>
+                                ↻ Refresh
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
 
-            {error && (
-                <div style={{ background: '#7f1d1d', color: '#fca5a5', padding: '1rem', borderRadius: '6px', marginBottom: '1rem' }}>
-                    <strong>Error:</strong> {error}
-                </div>
-            )}
-
-            {loading && <p>Loading logs...</p>}
+            <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem', borderBottom: '1px solid #334155' }}>
+                {[['login', 'Login Events'], ['admin', 'Admin Events'], ['analytics', 'Security Analytics']].map(([key, label]) => (
+                    <button
+                        key={key}
+                        onClick={() => onTabChange(key)}
+                        style={{
+                            padding: '0.5rem 1rem', fontSize: '0.9em', borderRadius: '6px 6px 0 0',
+                            background: tab === key ? '#334155' : 'transparent',
+                            color: tab === key ? '#e2e8f0' : '#94a3b8'
+                        }}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
 
-            {!loading && (
+            {tab === 'admin' && <AdminEventsLog keycloak={keycloak} adminService={adminService} />}
+            {tab === 'analytics' && <SecurityAnalytics keycloak={keycloak} adminService={adminService} />}
+            {tab === 'login' && (
                 <>
-                    <div className="user-info" style={{ padding: 0, overflow: 'hidden' }}>
-                        <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
-                            <thead style={{ background: '#1e293b' }}>
-                                <tr>
-                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Time</th>
-                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Event</th>
-                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>User / IP</th>
-                                    <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Details</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                {events.map((evt, idx) => (
-                                    <tr key={evt.time + '-' + idx} style={{ borderBottom: '1px solid #334155' }}>
-                                        <td style={{ padding: '1rem', fontSize: '0.9em', color: '#94a3b8' }}>
-                                            {new Date(evt.time).toLocaleString()}
-                                        </td>
-                                        <td style={{ padding: '1rem' }}>
-                                            <span style={{
-                                                padding: '2px 8px', borderRadius: '4px', fontSize: '0.85em', fontWeight: 'bold',
-                                                color: evt.type === 'LOGIN_ERROR' ? '#f87171' :
-                                                    (evt.type === 'LOGIN' ? '#34d399' : '#a78bfa')
-                                            }}>
-                                                {evt.type}
-                                            </span>
-                                        </td>
-                                        <td style={{ padding: '1rem' }}>
-                                            <div style={{ fontWeight: '500' }}>{
-                                                evt.details?.username || (evt.userId ? 'User ID: ' + evt.userId : 'Unknown User')
-                                            }</div>
-                                            <div style={{ fontSize: '0.8em', color: '#64748b' }}>{evt.ipAddress}</div>
-                                        </td>
-                                        <td style={{ padding: '1rem', fontSize: '0.85em', color: '#cbd5e1' }}>
-                                            Client: {evt.clientId}<br />
-                                            {evt.error && <span style={{ color: '#f87171' }}>{evt.error}</span>}
-                                        </td>
-                                    </tr>
-                                ))}
-                                {events.length === 0 && (
-                                    <tr>
-                                        <td colSpan="4" style={{ padding: '2rem', textAlign: 'center', color: '#94a3b8' }}>
-                                            No events found. (Ensure "Save Events" is ON in Keycloak)
-                                        </td>
-                                    </tr>
-                                )}
-                            </tbody>
-                        </table>
-                    </div>
+                    <LoginEventFilters adminService={adminService} filters={filters} onChange={setFilters} />
 
-                    {/* Simple Pagination */}
-                    <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginTop: '1rem' }}>
-                        <button
-                            disabled={page === 0}
-                            onClick={() => setPage(p => Math.max(0, p - 1))}
-                            style={{ background: page === 0 ? '#1e293b' : '#334155', cursor: page === 0 ? 'not-allowed' : 'pointer' }}
-                        >
-                            Previous
-                        </button>
-                        <span style={{ alignSelf: 'center' }}>Page {page + 1}</span>
-                        <button
-                            // If we got full page, assume there might be next
-                            disabled={events.length < pageSize}
-                            onClick={() => setPage(p => p + 1)}
-                            style={{ background: events.length < pageSize ? '#1e293b' : '#334155', cursor: events.length < pageSize ? 'not-allowed' : 'pointer' }}
-                        >
-                            Next
-                        </button>
-                    </div>
+                    <ErrorBanner
+                        error={live ? liveTail.error : error}
+                        keycloak={keycloak}
+                        forbiddenHint={
+                            <>
+                                You need <strong>view-events</strong> (or realm-admin) permission.<br />
+                                <small>Check Keycloak: Users &gt; [Your User] &gt; Role Mapping &gt; Client Roles (realm-management) &gt; view-events</small>
+                            </>
+                        }
+                    />
+
+                    {live && (
+                        <div style={{ display: 'flex', gap: '0.8rem', alignItems: 'center', marginBottom: '0.8rem', fontSize: '0.85em' }}>
+                            {liveTail.paused ? (
+                                <>
+                                    <span style={{ color: '#f59e0b' }}>
+                                        ❚❚ Paused {liveTail.pauseReason === 'hidden' ? 'while this tab is hidden' : '(scrolled down)'}
+                                    </span>
+                                    {liveTail.pauseReason === 'scroll' && (
+                                        <button onClick={liveTail.resume} style={{ padding: '0.2rem 0.6rem', fontSize: '0.9em', background: '#334155' }}>
+                                            Resume
+                                        </button>
+                                    )}
+                                </>
+                            ) : (
+                                <span style={{ color: '#34d399' }}>● Live, checking for new events every 5 seconds</span>
+                            )}
+                            {liveTail.gap && (
+                                <span style={{ color: '#f59e0b' }}>More events arrived than one poll fetches; some may be missing. Stop Live to page through them.</span>
+                            )}
+                        </div>
+                    )}
+
+                    {loading && !live && <p>Loading logs...</p>}
+
+                    {(!loading || live) && (
+                        <>
+                            <div
+                                ref={live ? liveTail.scrollRef : undefined}
+                                onScroll={live ? liveTail.onScroll : undefined}
+                                className="user-info"
+                                style={{ padding: 0, overflow: 'hidden', ...(live && { overflowY: 'auto', maxHeight: '60vh' }) }}
+                            >
+                                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
+                                    <thead style={{ background: '#1e293b' }}>
+                                        <tr>
+                                            <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Time</th>
+                                            <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Event</th>
+                                            <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>User / IP</th>
+                                            <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Details</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rows.map((evt, idx) => {
+                                            const fingerprint = live ? eventFingerprint(evt) : null;
+                                            return (
+                                                <tr
+                                                    key={live ? fingerprint : evt.time + '-' + idx}
+                                                    style={{
+                                                        borderBottom: '1px solid #334155',
+                                                        background: live && liveTail.newKeys.has(fingerprint) ? '#1e3a5f' : 'transparent',
+                                                        transition: 'background 1s'
+                                                    }}
+                                                >
+                                                    <td style={{ padding: '1rem', fontSize: '0.9em', color: '#94a3b8' }}>
+                                                        {new Date(evt.time).toLocaleString()}
+                                                    </td>
+                                                    <td style={{ padding: '1rem' }}>
+                                                        <span style={{
+                                                            padding: '2px 8px', borderRadius: '4px', fontSize: '0.85em', fontWeight: 'bold',
+                                                            color: evt.type === 'LOGIN_ERROR' ? '#f87171' :
+                                                                (evt.type === 'LOGIN' ? '#34d399' : '#a78bfa')
+                                                        }}>
+                                                            {evt.type}
+                                                        </span>
+                                                    </td>
+                                                    <td style={{ padding: '1rem' }}>
+                                                        <div style={{ fontWeight: '500' }}>{
+                                                            evt.details?.username || (evt.userId ? 'User ID: ' + evt.userId : 'Unknown User')
+                                                        }</div>
+                                                        <div style={{ fontSize: '0.8em', color: '#64748b' }}>{evt.ipAddress}</div>
+                                                    </td>
+                                                    <td style={{ padding: '1rem', fontSize: '0.85em', color: '#cbd5e1' }}>
+                                                        Client: {evt.clientId}<br />
+                                                        {evt.error && <span style={{ color: '#f87171' }}>{evt.error}</span>}
+                                                        {evt.type === 'LOGIN_ERROR' && evt.userId && permissions.can('viewUsers') && (
+                                                            <LockoutLink
+                                                                key={evt.userId}
+                                                                adminService={adminService}
+                                                                userId={evt.userId}
+                                                                canUnlock={permissions.can('manageUsers')}
+                                                            />
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                        {rows.length === 0 && (
+                                            <tr>
+                                                <td colSpan="4" style={{ padding: '2rem', textAlign: 'center', color: '#94a3b8' }}>
+                                                    No events found. (Ensure "Save Events" is ON in Keycloak)
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {/* Simple Pagination */}
+                            {!live && (
+                                <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginTop: '1rem' }}>
+                                    <button
+                                        disabled={page === 0}
+                                        onClick={() => setPage(Math.max(0, page - 1))}
+                                        style={{ background: page === 0 ? '#1e293b' : '#334155', cursor: page === 0 ? 'not-allowed' : 'pointer' }}
+                                    >
+                                        Previous
+                                    </button>
+                                    <span style={{ alignSelf: 'center' }}>Page {page + 1}</span>
+                                    <button
+                                        // If we got full page, assume there might be next
+                                        disabled={events.length < pageSize}
+                                        onClick={() => setPage(page + 1)}
+                                        style={{ background: events.length < pageSize ? '#1e293b' : '#334155', cursor: events.length < pageSize ? 'not-allowed' : 'pointer' }}
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
                 </>
             )}
         </div>
@@ -0,0 +1,180 @@
+import { useState, useRef } from 'react';
+import { BULK_ACTIONS, BULK_CONCURRENCY } from '../services/bulkUserActions';
+import { mapWithConcurrency } from '../services/concurrency';
+
+/**
+ * Toolbar shown above the user table when rows are selected.
+ * Runs one BULK_ACTIONS entry over the selection with limited concurrency,
+ * shows progress while running and a per-user report afterwards.
+ */
+export default function BulkActionsBar({
+    adminService,
+    availableRoles,
+    selectedUsers,      // [{ id, username }] picked on the current page(s)
+    allMatching,        // true -> act on every user matching `filters`, not just selectedUsers
+    filters,
+    matchingCount,      // total for allMatching (may be null when Keycloak can't count)
+    currentUserId,      // the logged-in admin, protected from disable/delete
+    onClearSelection,
+    onFinished
+}) {
+    const [actionKey, setActionKey] = useState('enable');
+    const [roleName, setRoleName] = useState('');
+    const [running, setRunning] = useState(false);
+    const [progress, setProgress] = useState(null); // { done, total, failed }
+    const [report, setReport] = useState(null);     // { action, results }
+    const abortRef = useRef(null);
+
+    const action = BULK_ACTIONS[actionKey];
+    const selectionLabel = allMatching
+        ? (matchingCount != null ? `All ${matchingCount} matching users` : 'All matching users')
+        : `${selectedUsers.length} selected`;
+
+    const resolveTargets = async (signal) => {
+        if (!allMatching) return selectedUsers;
+        const targets = [];
+        for await (const page of adminService.withSignal(signal).iterateUsers(filters)) {
+            if (signal.aborted) break;
+            targets.push(...page.map(u => ({ id: u.id, username: u.username })));
+            setProgress({ done: 0, total: targets.length, failed: 0, collecting: true });
+        }
+        return targets;
+    };
+
+    const run = async () => {
+        const role = action.needsRole ? availableRoles.find(r => r.name === roleName) : null;
+        if (action.needsRole && !role) return;
+
+        const what = action.needsRole ? `${action.label} "${roleName}"` : action.label;
+        if (!window.confirm(`${what} for ${selectionLabel}?${action.destructive ? '\n\nThis cannot be undone.' : ''}`)) {
+            return;
+        }
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setRunning(true);
+        setReport(null);
+        setProgress({ done: 0, total: allMatching ? 0 : selectedUsers.length, failed: 0, collecting: allMatching });
+
+        try {
+            const targets = await resolveTargets(controller.signal);
+            if (controller.signal.aborted) {
+                // Cancelled while collecting: no user was touched
+                setReport({ action: what, results: [], cancelled: true });
+                return;
+            }
+            setProgress({ done: 0, total: targets.length, failed: 0 });
+
+            const results = await mapWithConcurrency(targets, BULK_CONCURRENCY, async (user) => {
+                if (user.id === currentUserId && action.protectSelf) {
+                    throw new Error('Skipped: this is your own account');
+                }
+                return action.run(adminService, user, { role });
+            }, { onProgress: setProgress, signal: controller.signal });
+
+            setReport({ action: what, results });
+        } catch (err) {
+            // Only reachable if collecting the matching users failed or was cancelled
+            setReport({ action: what, results: [], ...(controller.signal.aborted ? { cancelled: true } : { error: err }) });
+        } finally {
+            abortRef.current = null;
+            setRunning(false);
+            setProgress(null);
+            onFinished();
+        }
+    };
+
+    const succeeded = report ? report.results.filter(r => r.ok) : [];
+    const failed = report ? report.results.filter(r => !r.ok) : [];
+
+    return (
+        <div style={{ marginBottom: '1rem' }}>
+            {(selectedUsers.length > 0 || allMatching) && (
+                <div style={{
+                    display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center',
+                    padding: '0.8rem 1rem', background: '#1e293b', border: '1px solid #334155', borderRadius: '6px'
+                }}>
+                    <strong style={{ marginRight: '0.5rem' }}>{selectionLabel}</strong>
+                    <select value={actionKey} disabled={running} onChange={e => setActionKey(e.target.value)} style={{ width: 'auto' }}>
+                        {Object.entries(BULK_ACTIONS).map(([key, a]) => (
+                            <option key={key} value={key}>{a.label}</option>
+                        ))}
+                    </select>
+                    {action.needsRole && (
+                        <select value={roleName} disabled={running} onChange={e => setRoleName(e.target.value)} style={{ width: 'auto' }}>
+                            <option value="">Choose role...</option>
+                            {availableRoles.map(r => <option key={r.id} value={r.name}>{r.name}</option>)}
+                        </select>
+                    )}
+                    <button
+                        onClick={run}
+                        disabled={running || (action.needsRole && !roleName)}
+                        style={{ padding: '0.4rem 0.9rem', fontSize: '0.9em', background: action.destructive ? '#dc2626' : '#2563eb' }}
+                    >
+                        Run
+                    </button>
+                    {running ? (
+                        <button onClick={() => abortRef.current?.abort()} style={{ padding: '0.4rem 0.9rem', fontSize: '0.9em', background: '#475569' }}>
+                            Cancel
+                        </button>
+                    ) : (
+                        <button onClick={onClearSelection} style={{ padding: '0.4rem 0.9rem', fontSize: '0.9em', background: '#475569' }}>
+                            Clear selection
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {progress && (
+                <div style={{ marginTop: '0.5rem' }}>
+                    <div style={{ fontSize: '0.85em', color: '#94a3b8', marginBottom: '0.3rem' }}>
+                        {progress.collecting
+                            ? `Collecting matching users... ${progress.total}`
+                            : `${progress.done} / ${progress.total} done${progress.failed ? `, ${progress.failed} failed` : ''}`}
+                    </div>
+                    <div style={{ height: '6px', background: '#334155', borderRadius: '3px', overflow: 'hidden' }}>
+                        <div style={{
+                            height: '100%', background: progress.failed ? '#f59e0b' : '#10b981',
+                            width: progress.total ? `${(progress.done / progress.total) * 100}%` : '0%'
+                        }} />
+                    </div>
+                </div>
+            )}
+
+            {report && (
+                <div style={{ marginTop: '0.5rem', padding: '1rem', background: '#0f172a', border: '1px solid #334155', borderRadius: '6px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        {report.cancelled ? (
+                            <strong>{report.action}: cancelled while collecting users, no action was taken</strong>
+                        ) : (
+                            <strong>
+                                {report.action}: <span style={{ color: '#34d399' }}>{succeeded.length} succeeded</span>
+                                {failed.length > 0 && <>, <span style={{ color: '#f87171' }}>{failed.length} failed</span></>}
+                            </strong>
+                        )}
+                        <button onClick={() => setReport(null)} style={{ padding: '0.2rem 0.6rem', fontSize: '0.85em', background: '#334155' }}>
+                            Dismiss
+                        </button>
+                    </div>
+                    {report.error && <p style={{ color: '#f87171' }}>Could not collect users: {report.error.message}</p>}
+                    {report.results.length > 0 && (
+                        <div style={{ maxHeight: '200px', overflowY: 'auto', marginTop: '0.5rem' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85em' }}>
+                                <tbody>
+                                    {[...failed, ...succeeded].map(r => (
+                                        <tr key={r.item.id} style={{ borderBottom: '1px solid #1e293b' }}>
+                                            <td style={{ padding: '0.3rem 0.5rem' }}>{r.item.username}</td>
+                                            <td style={{ padding: '0.3rem 0.5rem', color: r.ok ? '#34d399' : '#f87171' }}>
+                                                {r.ok ? 'OK' : (r.error?.errorMessage || r.error?.message || 'Failed')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
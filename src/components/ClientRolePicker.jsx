@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Client whose roles delegate admin rights (manage-users, view-events, ...)
+const DEFAULT_CLIENT_ID = 'realm-management';
+
+/**
+ * Per-client role picker, used for users (edit modal) and groups.
+ * `loadAssigned(clientUuid)` / `loadAvailable(clientUuid)` return the subject's mapped and mappable roles.
+ *
+ * `value` is owned by the parent so changes are applied together with the rest of the form:
+ *   { [clientUuid]: { client, assigned: RoleRep[], available: RoleRep[], selected: { [roleName]: bool } } }
+ * Clients are loaded lazily: a client's roles are only fetched once it is picked.
+ */
+export default function ClientRolePicker({ adminService, loadAssigned, loadAvailable, value, onChange }) {
+    const [clients, setClients] = useState([]);
+    const [activeClientUuid, setActiveClientUuid] = useState('');
+    const [loadingClient, setLoadingClient] = useState(false);
+    const [error, setError] = useState(null);
+
+    const selectClient = async (clientUuid, clientList = clients) => {
+        setActiveClientUuid(clientUuid);
+        if (!clientUuid || value[clientUuid]) return;
+
+        const client = clientList.find(c => c.id === clientUuid);
+        setLoadingClient(true);
+        setError(null);
+        try {
+            const [assigned, available] = await Promise.all([
+                loadAssigned(clientUuid),
+                loadAvailable(clientUuid)
+            ]);
+            const selected = {};
+            assigned.forEach(r => selected[r.name] = true);
+            onChange(prev => ({ ...prev, [clientUuid]: { client, assigned, available, selected } }));
+        } catch (err) {
+            setError(err);
+        } finally {
+            setLoadingClient(false);
+        }
+    };
+
+    // Latest selectClient for the client list load, which only reruns with the service
+    const selectClientRef = useRef(selectClient);
+    useEffect(() => {
+        selectClientRef.current = selectClient;
+    });
+
+    useEffect(() => {
+        let cancelled = false;
+        adminService.getAllClients()
+            .then(list => {
+                if (cancelled) return;
+                const sorted = (list || []).sort((a, b) => a.clientId.localeCompare(b.clientId));
+                setClients(sorted);
+                const preferred = sorted.find(c => c.clientId === DEFAULT_CLIENT_ID);
+                if (preferred) selectClientRef.current(preferred.id, sorted);
+            })
+            .catch(err => !cancelled && setError(err));
+        return () => { cancelled = true; };
+    }, [adminService]);
+
+    const toggle = (roleName) => {
+        onChange(prev => {
+            const entry = prev[activeClientUuid];
+            return {
+                ...prev,
+                [activeClientUuid]: { ...entry, selected: { ...entry.selected, [roleName]: !entry.selected[roleName] } }
+            };
+        });
+    };
+
+    const entry = value[activeClientUuid];
+    const roleRow = (role) => (
+        <div key={role.id} style={{ marginBottom: '0.5rem', display: 'flex', alignItems: 'center' }}>
+            <input
+                type="checkbox"
+                id={`client-role-${role.id}`}
+                checked={!!entry.selected[role.name]}
+                onChange={() => toggle(role.name)}
+                style={{ width: 'auto', marginRight: '0.8rem', marginBottom: 0 }}
+            />
+            <label htmlFor={`client-role-${role.id}`} style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }} title={role.description || ''}>
+                {role.name}
+            </label>
+        </div>
+    );
+
+    return (
+        <div style={{
+            background: '#0f172a', padding: '1rem', borderRadius: '6px',
+            border: '1px solid #334155'
+        }}>
+            <select value={activeClientUuid} onChange={e => selectClient(e.target.value)} style={{ marginBottom: '0.8rem' }}>
+                <option value="">Choose client...</option>
+                {clients.map(c => (
+                    <option key={c.id} value={c.id}>
+                        {c.clientId}{value[c.id] && Object.values(value[c.id].selected).some(Boolean) ? ' •' : ''}
+                    </option>
+                ))}
+            </select>
+
+            {error && <div style={{ color: '#f87171', fontSize: '0.85em' }}>{error.message}</div>}
+            {loadingClient && <div style={{ color: '#94a3b8', fontStyle: 'italic' }}>Loading client roles...</div>}
+
+            {entry && !loadingClient && (
+                <div style={{ maxHeight: '180px', overflowY: 'auto' }}>
+                    <div style={{ fontSize: '0.8em', color: '#94a3b8', margin: '0 0 0.4rem' }}>Assigned</div>
+                    {entry.assigned.length === 0
+                        ? <div style={{ color: '#64748b', fontStyle: 'italic', marginBottom: '0.5rem' }}>None</div>
+                        : entry.assigned.map(roleRow)}
+                    <div style={{ fontSize: '0.8em', color: '#94a3b8', margin: '0.6rem 0 0.4rem' }}>Available</div>
+                    {entry.available.length === 0
+                        ? <div style={{ color: '#64748b', fontStyle: 'italic' }}>None</div>
+                        : entry.available.map(roleRow)}
+                </div>
+            )}
+        </div>
+    );
+}
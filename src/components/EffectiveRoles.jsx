@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { resolveEffectiveRoles, roleLabel } from '../services/effectiveRoles';
+import ErrorBanner from './ErrorBanner';
+
+const SOURCE_BADGE = {
+    direct: { text: 'direct', color: '#0ea5e9' },
+    default: { text: 'default roles', color: '#64748b' },
+    group: { text: 'group', color: '#10b981' },
+    composite: { text: 'via composite', color: '#7c3aed' }
+};
+
+function RoleNode({ node, highlight, depth = 0 }) {
+    const [open, setOpen] = useState(depth === 0 && node.source !== 'default');
+    const badge = SOURCE_BADGE[node.source];
+    const label = roleLabel(node.role, node.clientId);
+    const hasChildren = node.children.length > 0;
+
+    return (
+        <li style={{ listStyle: 'none', marginLeft: depth ? '1.2rem' : 0 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.15rem 0' }}>
+                <span
+                    onClick={() => hasChildren && setOpen(o => !o)}
+                    style={{ width: '1rem', cursor: hasChildren ? 'pointer' : 'default', color: '#94a3b8' }}
+                >
+                    {hasChildren ? (open ? '▾' : '▸') : '·'}
+                </span>
+                <span style={{
+                    fontWeight: highlight && label === highlight ? 'bold' : 'normal',
+                    color: highlight && label === highlight ? '#fbbf24' : '#e2e8f0'
+                }}>
+                    {label}
+                </span>
+                <span style={{ background: badge.color, padding: '1px 6px', borderRadius: '10px', fontSize: '0.7em' }}>
+                    {node.source === 'group' ? `group ${node.via}` : badge.text}
+                </span>
+                {node.cycle && <small style={{ color: '#f59e0b' }}>(cycle)</small>}
+            </div>
+            {open && hasChildren && (
+                <ul style={{ padding: 0, margin: 0 }}>
+                    {node.children.map(child => <RoleNode key={child.key} node={child} highlight={highlight} depth={depth + 1} />)}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Effective realm and client roles of a user, as a tree of where each one comes from
+ * (direct, via composite, via group, via default roles), plus a "why does this user have X?" lookup.
+ * Mount with key={userId} so switching users reloads.
+ */
+export default function EffectiveRoles({ adminService, userId }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [question, setQuestion] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        resolveEffectiveRoles(adminService, userId)
+            .then(result => !cancelled && setData(result))
+            .catch(err => !cancelled && setError(err));
+        return () => { cancelled = true; };
+    }, [adminService, userId]);
+
+    if (error) {
+        return (
+            <ErrorBanner
+                error={error}
+                keycloak={adminService.keycloak}
+                context="Failed to resolve roles"
+                forbiddenHint={<>You need the <strong>view-users</strong> and <strong>view-clients</strong> (or realm-admin) permissions.</>}
+            />
+        );
+    }
+    if (!data) return <p>Resolving effective roles...</p>;
+
+    const answer = data.effective.find(e => e.label === question);
+
+    return (
+        <div>
+            <div className="field-group">
+                <label>Why does this user have...</label>
+                <select value={question} onChange={e => setQuestion(e.target.value)}>
+                    <option value="">Choose an effective role...</option>
+                    {data.effective.map(e => <option key={e.label} value={e.label}>{e.label}</option>)}
+                </select>
+            </div>
+
+            {answer && (
+                <div style={{ background: '#0f172a', padding: '0.8rem 1rem', borderRadius: '6px', border: '1px solid #334155', marginBottom: '1rem' }}>
+                    {answer.paths.length === 0 ? (
+                        <span style={{ color: '#94a3b8' }}>Reported by Keycloak as effective, but no mapping path could be resolved.</span>
+                    ) : answer.paths.map((path, idx) => (
+                        <div key={idx} style={{ fontSize: '0.9em', marginBottom: '0.3rem' }}>
+                            {path[0].source === 'group' ? `Group ${path[0].via}` : (path[0].source === 'default' ? 'Default roles' : 'Direct')}
+                            {path.map(node => ` → ${roleLabel(node.role, node.clientId)}`).join('')}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div style={{ fontSize: '0.85em', color: '#94a3b8', marginBottom: '0.5rem' }}>
+                {data.effective.length} effective roles from {data.tree.length} mappings
+            </div>
+            <ul style={{ padding: '1rem', margin: 0, background: '#0f172a', borderRadius: '6px', border: '1px solid #334155', maxHeight: '45vh', overflowY: 'auto' }}>
+                {data.tree.length === 0
+                    ? <li style={{ listStyle: 'none', color: '#94a3b8', fontStyle: 'italic' }}>No role mappings</li>
+                    : data.tree.map(node => <RoleNode key={node.key} node={node} highlight={question} />)}
+            </ul>
+        </div>
+    );
+}
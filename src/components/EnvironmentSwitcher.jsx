@@ -0,0 +1,33 @@
+/**
+ * Environment and managed-realm pickers for the header. Changing the environment
+ * re-initializes Keycloak (new server/login realm); changing the realm only
+ * points the admin API at another realm with the same login.
+ */
+export default function EnvironmentSwitcher({ config, selection, onChangeEnvironment, onChangeRealm }) {
+    const environments = Object.values(config.environments);
+    const { adminRealms } = config.environments[selection.environment];
+    if (environments.length < 2 && adminRealms.length < 2) return null;
+
+    const selectStyle = { width: 'auto', marginBottom: 0, padding: '0.3rem 0.5rem', fontSize: '0.85em' };
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', justifyContent: 'flex-end', marginBottom: '1rem', fontSize: '0.85em' }}>
+            {environments.length > 1 && (
+                <>
+                    <label style={{ marginBottom: 0 }}>Environment</label>
+                    <select value={selection.environment} onChange={e => onChangeEnvironment(e.target.value)} style={selectStyle}>
+                        {environments.map(env => <option key={env.key} value={env.key}>{env.label}</option>)}
+                    </select>
+                </>
+            )}
+            {adminRealms.length > 1 && (
+                <>
+                    <label style={{ marginBottom: 0 }}>Realm</label>
+                    <select value={selection.adminRealm} onChange={e => onChangeRealm(e.target.value)} style={selectStyle}>
+                        {adminRealms.map(realm => <option key={realm} value={realm}>{realm}</option>)}
+                    </select>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,49 @@
+import { isKeycloakAdminError } from '../services/keycloakAdminError';
+
+/**
+ * Red error box shared by the admin panels.
+ * Accepts a plain string/JSX, or a KeycloakAdminError, in which case the message is
+ * tailored to the failure kind (session expired vs forbidden vs server down).
+ */
+export default function ErrorBanner({ error, keycloak, context, forbiddenHint }) {
+    if (!error) return null;
+
+    let content = error;
+    let action = null;
+    const prefix = context ? `${context}: ` : '';
+
+    if (isKeycloakAdminError(error)) {
+        if (error.isSessionExpired) {
+            content = <span>{prefix}Your session has expired. Please log in again.</span>;
+            action = keycloak && (
+                <button type="button" onClick={() => keycloak.login()} style={{ marginLeft: '1rem', padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#334155' }}>
+                    Log in
+                </button>
+            );
+        } else if (error.isForbidden) {
+            content = (
+                <span>
+                    {prefix}Access Denied. {forbiddenHint || <>You need the <strong>manage-users</strong> (or realm-admin) permission.</>}
+                </span>
+            );
+        } else if (error.isServerDown) {
+            content = (
+                <span>
+                    {prefix}{error.message}{' '}
+                    <small>({error.wasRetried ? `retried ${error.attempts - 1} time(s), ` : ''}please try again later)</small>
+                </span>
+            );
+        } else {
+            content = <span>{prefix}{error.errorMessage || error.message}{error.field && <small> (field: {error.field})</small>}</span>;
+        }
+    } else if (error instanceof Error) {
+        content = prefix + error.message;
+    }
+
+    return (
+        <div style={{ background: '#7f1d1d', color: '#fca5a5', padding: '1rem', borderRadius: '6px', marginBottom: '1rem' }}>
+            <strong>Error:</strong> {content}
+            {action}
+        </div>
+    );
+}
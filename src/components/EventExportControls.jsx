@@ -0,0 +1,60 @@
+import { useState, useRef } from 'react';
+import { EXPORT_FORMATS, exportEvents } from '../services/eventExport';
+import { downloadBlob, fileTimestamp } from '../services/download';
+
+/**
+ * "Export" control for an event list: walks every page for the current filters,
+ * shows progress with a Cancel button, then downloads the file.
+ */
+export default function EventExportControls({ fetchPage, flatten, columns, filenamePrefix }) {
+    const [format, setFormat] = useState('csv');
+    const [count, setCount] = useState(null); // events exported so far, null when idle
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    const start = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setCount(0);
+        try {
+            const { blob } = await exportEvents({
+                fetchPage, format, flatten, columns,
+                signal: controller.signal,
+                onProgress: setCount
+            });
+            downloadBlob(blob, `${filenamePrefix}-${fileTimestamp()}.${EXPORT_FORMATS[format].extension}`);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error(err);
+                setError(err);
+            }
+        } finally {
+            abortRef.current = null;
+            setCount(null);
+        }
+    };
+
+    const running = count !== null;
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <select value={format} disabled={running} onChange={e => setFormat(e.target.value)} style={{ width: 'auto', marginBottom: 0 }}>
+                {Object.entries(EXPORT_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+            </select>
+            {running ? (
+                <>
+                    <span style={{ fontSize: '0.85em', color: '#94a3b8' }}>Exporting... {count} events</span>
+                    <button onClick={() => abortRef.current?.abort()} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#475569' }}>
+                        Cancel
+                    </button>
+                </>
+            ) : (
+                <button onClick={start} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#0d9488' }}>
+                    ⤓ Export
+                </button>
+            )}
+            {error && <span style={{ color: '#f87171', fontSize: '0.85em' }}>Export failed: {error.message}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import ClientRolePicker from './ClientRolePicker';
+import ErrorBanner from './ErrorBanner';
+import { diffRoleSelection } from '../services/roleMappings';
+
+const MEMBERS_PAGE_SIZE = 10;
+
+/**
+ * Right-hand panel of GroupManager: rename / move / delete a group, add subgroups,
+ * browse members and edit the group's realm and client role mappings.
+ * `readOnlyReason` (admin lacks manage-users) disables every change and is shown as the reason.
+ * Mount with key={groupId}.
+ */
+export default function GroupDetail({ keycloak, adminService, groupId, realm, readOnlyReason, onStructureChange, onDeleted }) {
+    const [group, setGroup] = useState(null);
+    const [realmRoles, setRealmRoles] = useState([]);
+    const [mappedRealmRoles, setMappedRealmRoles] = useState([]);
+    const [members, setMembers] = useState([]);
+    const [membersPage, setMembersPage] = useState(0);
+    const [clientRoleSelection, setClientRoleSelection] = useState({});
+    const [pickerVersion, setPickerVersion] = useState(0);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const [name, setName] = useState('');
+    const [moveTarget, setMoveTarget] = useState('');
+
+    // Bumped after each change to reload the group
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([
+            adminService.getGroup(groupId),
+            adminService.getRealmRoles(),
+            adminService.getGroupRoleMappings(groupId)
+        ])
+            .then(([g, roles, mappings]) => {
+                if (cancelled) return;
+                setGroup(g);
+                setName(g.name);
+                setRealmRoles((roles || []).filter(r => !r.name.startsWith('default-roles-')).sort((a, b) => a.name.localeCompare(b.name)));
+                setMappedRealmRoles(mappings.realmMappings || []);
+            })
+            .catch(err => !cancelled && setError(err));
+        return () => { cancelled = true; };
+    }, [adminService, groupId, version]);
+
+    useEffect(() => {
+        adminService.getGroupMembers(groupId, membersPage * MEMBERS_PAGE_SIZE, MEMBERS_PAGE_SIZE)
+            .then(setMembers)
+            .catch(setError);
+    }, [adminService, groupId, membersPage]);
+
+    // Run a mutation, surface its error, then reload the group
+    const mutate = async (fn, { structural = false } = {}) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await fn();
+            setVersion(v => v + 1);
+            if (structural) onStructureChange();
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const locked = busy || !!readOnlyReason;
+    const lockedTitle = readOnlyReason || undefined;
+
+    const rename = () => mutate(() => adminService.updateGroup(groupId, { name: name.trim() }), { structural: true });
+
+    const move = () => mutate(async () => {
+        const path = moveTarget.trim();
+        let parentId = null;
+        if (path && path !== '/') {
+            const parent = await adminService.getGroupByPath(path);
+            if (parent.id === groupId || parent.path.startsWith(group.path + '/')) {
+                throw new Error('A group cannot be moved into itself or one of its subgroups.');
+            }
+            parentId = parent.id;
+        }
+        await adminService.moveGroup(groupId, parentId);
+        setMoveTarget('');
+    }, { structural: true });
+
+    const addSubgroup = () => {
+        const subName = window.prompt(`Name of the new subgroup of ${group.path}:`);
+        if (!subName?.trim()) return;
+        mutate(() => adminService.createGroup(subName.trim(), groupId), { structural: true });
+    };
+
+    const remove = async () => {
+        if (!window.confirm(`Delete group ${group.path} and all its subgroups? Members lose the roles it grants.`)) return;
+        setBusy(true);
+        try {
+            await adminService.deleteGroup(groupId);
+            onDeleted();
+        } catch (err) {
+            setError(err);
+            setBusy(false);
+        }
+    };
+
+    const toggleRealmRole = (role) => {
+        const mapped = mappedRealmRoles.some(r => r.name === role.name);
+        mutate(() => (mapped
+            ? adminService.removeGroupRealmRoleMappings(groupId, [role])
+            : adminService.addGroupRealmRoleMappings(groupId, [role])));
+    };
+
+    const saveClientRoles = () => mutate(async () => {
+        for (const { client, assigned, available, selected } of Object.values(clientRoleSelection)) {
+            const { toAdd, toRemove } = diffRoleSelection(assigned, available, selected);
+            if (toAdd.length > 0) await adminService.addGroupClientRoleMappings(groupId, client.id, toAdd);
+            if (toRemove.length > 0) await adminService.removeGroupClientRoleMappings(groupId, client.id, toRemove);
+        }
+        // Reload the picker so "assigned" reflects the server
+        setClientRoleSelection({});
+        setPickerVersion(v => v + 1);
+    });
+
+    if (!group) {
+        return error
+            ? <ErrorBanner error={error} keycloak={keycloak} context="Failed to load group" />
+            : <p>Loading group...</p>;
+    }
+
+    const sectionTitle = { marginTop: '1.5rem', borderBottom: '1px solid #334155', paddingBottom: '0.5rem' };
+    const smallButton = { padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' };
+
+    return (
+        <div>
+            <h3 style={{ marginTop: 0 }}>{group.path}</h3>
+
+            <ErrorBanner error={error} keycloak={keycloak} />
+
+            {readOnlyReason && (
+                <p style={{ fontSize: '0.85em', color: '#94a3b8' }}>🔒 Read-only. {readOnlyReason}</p>
+            )}
+
+            <div className="field-group">
+                <label>Name</label>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <input value={name} onChange={e => setName(e.target.value)} style={{ marginBottom: 0 }} />
+                    <button disabled={locked || !name.trim() || name.trim() === group.name} title={lockedTitle} onClick={rename} style={smallButton}>Rename</button>
+                </div>
+            </div>
+            <div className="field-group">
+                <label>Move to parent (path, empty for top level)</label>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <input value={moveTarget} placeholder="/hospital/cardiology" onChange={e => setMoveTarget(e.target.value)} style={{ marginBottom: 0 }} />
+                    <button disabled={locked} title={lockedTitle} onClick={move} style={smallButton}>Move</button>
+                </div>
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button disabled={locked} title={lockedTitle} onClick={addSubgroup} style={{ ...smallButton, background: '#10b981' }}>+ Subgroup</button>
+                <button disabled={locked} title={lockedTitle} onClick={remove} style={{ ...smallButton, background: '#dc2626' }}>Delete Group</button>
+            </div>
+
+            <h4 style={sectionTitle}>Realm Roles</h4>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.8rem' }}>
+                {realmRoles.map(role => (
+                    <label key={role.id} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', marginBottom: 0, cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            disabled={locked}
+                            checked={mappedRealmRoles.some(r => r.name === role.name)}
+                            onChange={() => toggleRealmRole(role)}
+                            style={{ width: 'auto', marginBottom: 0 }}
+                        />
+                        {role.name}
+                    </label>
+                ))}
+                {realmRoles.length === 0 && <span style={{ color: '#94a3b8' }}>No realm roles in {realm}</span>}
+            </div>
+
+            <h4 style={sectionTitle}>Client Roles</h4>
+            <ClientRolePicker
+                key={pickerVersion}
+                adminService={adminService}
+                loadAssigned={clientUuid => adminService.getGroupClientRoles(groupId, clientUuid)}
+                loadAvailable={clientUuid => adminService.getAvailableGroupClientRoles(groupId, clientUuid)}
+                value={clientRoleSelection}
+                onChange={setClientRoleSelection}
+            />
+            <button disabled={locked} title={lockedTitle} onClick={saveClientRoles} style={{ ...smallButton, marginTop: '0.5rem', background: '#2563eb' }}>
+                Save Client Roles
+            </button>
+
+            <h4 style={sectionTitle}>Members</h4>
+            {members.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>No direct members.</p>
+            ) : (
+                <ul style={{ paddingLeft: '1.2rem' }}>
+                    {members.map(m => (
+                        <li key={m.id}>{m.username} <span style={{ color: '#64748b' }}>{m.email}</span></li>
+                    ))}
+                </ul>
+            )}
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <button disabled={membersPage === 0} onClick={() => setMembersPage(p => p - 1)} style={smallButton}>Previous</button>
+                <span style={{ fontSize: '0.85em' }}>Page {membersPage + 1}</span>
+                <button disabled={members.length < MEMBERS_PAGE_SIZE} onClick={() => setMembersPage(p => p + 1)} style={smallButton}>Next</button>
+            </div>
+        </div>
+    );
+}
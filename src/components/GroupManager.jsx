@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import useAdminService from '../hooks/useAdminService';
+import ErrorBanner from './ErrorBanner';
+import GroupDetail from './GroupDetail';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+/**
+ * One node of the group tree. Children are fetched when the node is first expanded.
+ */
+function GroupNode({ group, adminService, selectedId, onSelect, depth = 0 }) {
+    const [open, setOpen] = useState(false);
+    // Search results come with their matching subtree inlined
+    const [children, setChildren] = useState(group.subGroups?.length ? group.subGroups : null);
+    const hasChildren = (group.subGroupCount ?? group.subGroups?.length ?? 0) > 0;
+
+    const toggle = async () => {
+        if (!open && children === null) {
+            try {
+                setChildren(await adminService.getGroupChildren(group.id));
+            } catch (err) {
+                console.warn(`Failed to load subgroups of ${group.path}`, err);
+                setChildren([]);
+            }
+        }
+        setOpen(o => !o);
+    };
+
+    return (
+        <li style={{ listStyle: 'none', marginLeft: depth ? '1.2rem' : 0 }}>
+            <div style={{
+                display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.25rem 0.4rem', borderRadius: '4px',
+                background: selectedId === group.id ? '#1e3a5f' : 'transparent'
+            }}>
+                <span onClick={hasChildren ? toggle : undefined} style={{ width: '1rem', cursor: hasChildren ? 'pointer' : 'default', color: '#94a3b8' }}>
+                    {hasChildren ? (open ? '▾' : '▸') : '·'}
+                </span>
+                <span onClick={() => onSelect(group)} style={{ cursor: 'pointer' }}>{group.name}</span>
+            </div>
+            {open && children && (
+                <ul style={{ padding: 0, margin: 0 }}>
+                    {children.map(child => (
+                        <GroupNode key={child.id} group={child} adminService={adminService} selectedId={selectedId} onSelect={onSelect} depth={depth + 1} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+export default function GroupManager({ keycloak, permissions }) {
+    const [groups, setGroups] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedGroup, setSelectedGroup] = useState(null);
+    // Bumped after every structural change so the tree reloads and collapses
+    const [treeVersion, setTreeVersion] = useState(0);
+
+    const [search, setSearch] = useState('');
+    const debouncedSearch = useDebouncedValue(search, 400);
+
+    const { adminService } = useAdminService();
+
+    useEffect(() => {
+        let cancelled = false;
+        adminService.getGroups(debouncedSearch.trim())
+            .then(result => {
+                if (cancelled) return;
+                setGroups(result);
+                setError(null);
+            })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => !cancelled && setLoading(false));
+        return () => { cancelled = true; };
+    }, [adminService, debouncedSearch, treeVersion]);
+
+    const refreshTree = () => {
+        setLoading(true);
+        setTreeVersion(v => v + 1);
+    };
+
+    const createTopLevelGroup = async () => {
+        const name = window.prompt('Name of the new top-level group:');
+        if (!name?.trim()) return;
+        try {
+            await adminService.createGroup(name.trim());
+            refreshTree();
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    return (
+        <div style={{ marginTop: '2rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h2>Groups</h2>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <button onClick={refreshTree} style={{ backgroundColor: '#3b82f6' }}>
+                        ↻ Refresh
+                    </button>
+                    <button
+                        onClick={createTopLevelGroup}
+                        disabled={!permissions.can('manageUsers')}
+                        title={permissions.reason('manageUsers') || undefined}
+                        style={{ backgroundColor: '#10b981' }}
+                    >
+                        + New Group
+                    </button>
+                </div>
+            </div>
+
+            <ErrorBanner
+                error={error}
+                keycloak={keycloak}
+                forbiddenHint={<>You need <strong>query-groups</strong> / <strong>manage-users</strong> (or realm-admin) permission.</>}
+            />
+
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start', textAlign: 'left' }}>
+                <div className="user-info" style={{ flex: '0 0 35%', padding: '1rem' }}>
+                    <input
+                        type="search"
+                        placeholder="Search groups..."
+                        value={search}
+                        onChange={e => setSearch(e.target.value)}
+                    />
+                    {loading ? <p>Loading groups...</p> : (
+                        <ul key={treeVersion} style={{ padding: 0, margin: 0, maxHeight: '50vh', overflowY: 'auto' }}>
+                            {groups.map(group => (
+                                <GroupNode
+                                    key={group.id}
+                                    group={group}
+                                    adminService={adminService}
+                                    selectedId={selectedGroup?.id}
+                                    onSelect={setSelectedGroup}
+                                />
+                            ))}
+                            {groups.length === 0 && (
+                                <li style={{ listStyle: 'none', color: '#94a3b8', fontStyle: 'italic' }}>No groups found.</li>
+                            )}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="user-info" style={{ flex: 1, padding: '1rem' }}>
+                    {selectedGroup ? (
+                        <GroupDetail
+                            key={selectedGroup.id}
+                            keycloak={keycloak}
+                            adminService={adminService}
+                            groupId={selectedGroup.id}
+                            realm={adminService.realm}
+                            readOnlyReason={permissions.reason('manageUsers')}
+                            onStructureChange={refreshTree}
+                            onDeleted={() => { setSelectedGroup(null); refreshTree(); }}
+                        />
+                    ) : (
+                        <p style={{ color: '#94a3b8' }}>Select a group to see its members and roles.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,15 @@
+import { navigate, toHref } from '../services/router';
+
+/**
+ * In-app link: a real href (so it can be copied or opened in a new tab),
+ * but a plain click navigates without reloading the page.
+ */
+export default function Link({ to, children, ...props }) {
+    const onClick = (e) => {
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(to);
+    };
+
+    return <a href={toHref(to)} onClick={onClick} {...props}>{children}</a>;
+}
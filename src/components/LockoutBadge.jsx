@@ -0,0 +1,74 @@
+import { useState } from 'react';
+
+/**
+ * "Lockout status" link: fetches the user's brute-force status on demand and offers
+ * to unlock the account (with manage-users). Used on LOGIN_ERROR rows and in the user
+ * list when the server can't return lockout state with the page.
+ */
+export function LockoutLink({ adminService, userId, canUnlock }) {
+    const [status, setStatus] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Optionally run an action (unlock), then (re)read the status
+    const check = async (action = null) => {
+        setBusy(true);
+        setError(null);
+        try {
+            if (action) await action();
+            setStatus(await adminService.getBruteForceStatus(userId));
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (error) return <div style={{ color: '#f87171' }}>{error.errorMessage || error.message}</div>;
+    if (!status) {
+        return (
+            <a href="#" onClick={e => { e.preventDefault(); if (!busy) check(); }} style={{ fontSize: '0.9em' }}>
+                {busy ? 'Checking lockout...' : 'Lockout status / unlock'}
+            </a>
+        );
+    }
+    if (!status.disabled && !status.numFailures) return <div style={{ color: '#34d399' }}>Not locked</div>;
+    return <LockoutBadge status={status} busy={busy} onUnlock={canUnlock ? () => check(() => adminService.clearBruteForceForUser(userId)) : null} />;
+}
+
+/**
+ * Brute-force status of a user: a "Locked" badge with failure count and last
+ * failing IP, plus an Unlock button. Renders a quieter hint for failures that
+ * have not (yet) locked the account, and nothing when there are none.
+ * status: { numFailures, disabled, lastIPFailure, lastFailure } from getBruteForceStatus
+ */
+export default function LockoutBadge({ status, onUnlock, busy = false }) {
+    if (!status || (!status.disabled && !status.numFailures)) return null;
+
+    const lastFailure = status.lastFailure ? ` at ${new Date(status.lastFailure).toLocaleString()}` : '';
+    const detail = `${status.numFailures} failed login(s), last from ${status.lastIPFailure || 'unknown IP'}${lastFailure}`;
+
+    if (!status.disabled) {
+        return <div style={{ fontSize: '0.75em', color: '#f59e0b' }} title={detail}>{status.numFailures} failed login(s)</div>;
+    }
+
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', flexWrap: 'wrap', marginTop: '0.2rem' }}>
+            <span title={detail} style={{ background: '#7f1d1d', color: '#fca5a5', padding: '2px 8px', borderRadius: '12px', fontSize: '0.75em', fontWeight: 'bold' }}>
+                🔒 Locked
+            </span>
+            <span style={{ fontSize: '0.75em', color: '#94a3b8' }}>{detail}</span>
+            {onUnlock && (
+                <button
+                    type="button"
+                    disabled={busy}
+                    onClick={onUnlock}
+                    style={{ padding: '0.2rem 0.6rem', fontSize: '0.75em', background: '#f59e0b' }}
+                >
+                    Unlock
+                </button>
+            )}
+        </div>
+    );
+}
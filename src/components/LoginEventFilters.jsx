@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import UserPicker from './UserPicker';
+import { EVENT_TYPES, EMPTY_EVENT_FILTERS } from '../services/eventFilters';
+
+/**
+ * Filter bar for login events. Every value is sent to the server-side /events query.
+ */
+export default function LoginEventFilters({ adminService, filters, onChange }) {
+    const [showTypes, setShowTypes] = useState(false);
+    const [clients, setClients] = useState([]);
+
+    useEffect(() => {
+        adminService.getAllClients()
+            .then(list => setClients((list || []).map(c => c.clientId).sort()))
+            .catch(err => console.warn('Failed to load clients', err));
+    }, [adminService]);
+
+    const update = (patch) => onChange({ ...filters, ...patch });
+    const toggleType = (type) => update({
+        types: filters.types.includes(type) ? filters.types.filter(t => t !== type) : [...filters.types, type]
+    });
+
+    const inputStyle = { marginBottom: 0 };
+
+    return (
+        <div style={{
+            padding: '1rem', background: '#0f172a', borderRadius: '6px', border: '1px solid #334155',
+            marginBottom: '1rem', textAlign: 'left'
+        }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '0.8rem' }}>
+                <div className="field-group" style={{ marginBottom: 0 }}>
+                    <label>User</label>
+                    <UserPicker adminService={adminService} value={filters.user} onChange={user => update({ user })} />
+                </div>
+                <div className="field-group" style={{ marginBottom: 0 }}>
+                    <label>Client</label>
+                    <input list="event-filter-clients" value={filters.client} onChange={e => update({ client: e.target.value })} style={inputStyle} />
+                    <datalist id="event-filter-clients">
+                        {clients.map(c => <option key={c} value={c} />)}
+                    </datalist>
+                </div>
+                <div className="field-group" style={{ marginBottom: 0 }}>
+                    <label>IP Address</label>
+                    <input value={filters.ipAddress} onChange={e => update({ ipAddress: e.target.value })} style={inputStyle} />
+                </div>
+                <div className="field-group" style={{ marginBottom: 0 }}>
+                    <label>From</label>
+                    <input type="date" value={filters.dateFrom} max={filters.dateTo || undefined} onChange={e => update({ dateFrom: e.target.value })} style={inputStyle} />
+                </div>
+                <div className="field-group" style={{ marginBottom: 0 }}>
+                    <label>To</label>
+                    <input type="date" value={filters.dateTo} min={filters.dateFrom || undefined} onChange={e => update({ dateTo: e.target.value })} style={inputStyle} />
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.8rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <button onClick={() => setShowTypes(s => !s)} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#334155' }}>
+                    Event types ({filters.types.length || 'all'}) {showTypes ? '▲' : '▼'}
+                </button>
+                <button onClick={() => onChange(EMPTY_EVENT_FILTERS)} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#475569' }}>
+                    Reset Filters
+                </button>
+                <span style={{ fontSize: '0.8em', color: '#64748b' }}>Filters are kept in the page link, so you can share it.</span>
+            </div>
+
+            {showTypes && filters.types.length === 0 && (
+                <p style={{ fontSize: '0.8em', color: '#94a3b8', margin: '0.8rem 0 0' }}>
+                    No type selected: every event type is shown, including types not listed here.
+                </p>
+            )}
+            {showTypes && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginTop: '0.8rem' }}>
+                    {[...EVENT_TYPES, ...filters.types.filter(t => !EVENT_TYPES.includes(t))].map(type => {
+                        const active = filters.types.includes(type);
+                        return (
+                            <span
+                                key={type}
+                                onClick={() => toggleType(type)}
+                                style={{
+                                    cursor: 'pointer', padding: '2px 8px', borderRadius: '12px', fontSize: '0.75em',
+                                    background: active ? (type.endsWith('_ERROR') ? '#b91c1c' : '#2563eb') : '#1e293b',
+                                    border: '1px solid #334155', color: active ? '#fff' : '#94a3b8'
+                                }}
+                            >
+                                {type}
+                            </span>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react';
+import { parsePasswordPolicy, checkPassword, generatePassword } from '../services/passwordPolicy';
+
+/**
+ * Password field that validates against the realm password policy as you type
+ * and can generate a compliant password. A violated rule marks the input invalid,
+ * so the surrounding form won't submit. Without view-realm the policy can't be
+ * read and only the server validates.
+ */
+export default function PasswordInput({ adminService, value, onChange, required = false, placeholder = '', username = '', email = '' }) {
+    const [rules, setRules] = useState(null);
+    const [visible, setVisible] = useState(false);
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        adminService.getPasswordPolicy()
+            .then(policy => setRules(parsePasswordPolicy(policy)))
+            .catch(err => console.warn('Could not read the realm password policy', err));
+    }, [adminService]);
+
+    const checks = rules && value ? checkPassword(value, rules, { username, email }) : [];
+    const failed = checks.filter(c => c.ok === false);
+    const validity = failed.length ? `Password must satisfy: ${failed.map(c => c.label).join(', ')}` : '';
+
+    useEffect(() => {
+        inputRef.current?.setCustomValidity(validity);
+    }, [validity]);
+
+    const generate = () => {
+        onChange(generatePassword(rules || {}, { username, email }));
+        setVisible(true);
+    };
+
+    const smallButton = { padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155', whiteSpace: 'nowrap' };
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                    ref={inputRef}
+                    type={visible ? 'text' : 'password'}
+                    required={required}
+                    placeholder={placeholder}
+                    autoComplete="new-password"
+                    value={value}
+                    onChange={e => onChange(e.target.value)}
+                    style={{ marginBottom: 0 }}
+                />
+                <button type="button" onClick={() => setVisible(v => !v)} style={smallButton}>
+                    {visible ? 'Hide' : 'Show'}
+                </button>
+                <button type="button" onClick={generate} title="Generate a password that satisfies the realm policy" style={smallButton}>
+                    Generate
+                </button>
+            </div>
+            {checks.length > 0 && (
+                <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0', fontSize: '0.8em' }}>
+                    {checks.map(check => (
+                        <li key={check.rule} style={{ color: check.ok === null ? '#94a3b8' : (check.ok ? '#34d399' : '#f87171') }}>
+                            {check.ok === null ? '•' : (check.ok ? '✓' : '✗')} {check.label}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
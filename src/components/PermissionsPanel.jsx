@@ -0,0 +1,53 @@
+import { CAPABILITIES } from '../services/permissions';
+
+/**
+ * Placeholder for a section the admin may not use, saying which role is missing.
+ */
+export function PermissionNotice({ permissions, capability, title }) {
+    return (
+        <div style={{ marginTop: '2rem', padding: '1rem', border: '1px dashed #334155', borderRadius: '6px', color: '#94a3b8' }}>
+            {title && <h2 style={{ marginTop: 0 }}>{title}</h2>}
+            🔒 {permissions.reason(capability)}
+        </div>
+    );
+}
+
+/**
+ * Footer listing the admin's management-client roles and what they allow.
+ * Replaces the old realm-role debug line: Admin API rights are client roles.
+ */
+export default function PermissionsPanel({ permissions }) {
+    const sourceLabel = {
+        token: `roles of ${permissions.client} in the access token`,
+        probe: 'probing the Admin API (the token carries no management roles)',
+        unknown: 'nothing yet: unknown rights are assumed and the server decides'
+    }[permissions.source];
+
+    return (
+        <div style={{ marginTop: '2rem', padding: '1rem', borderTop: '1px solid #334155' }}>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#94a3b8' }}>My Permissions</h4>
+            <p style={{ fontSize: '0.85em', color: '#64748b', wordBreak: 'break-all', margin: '0 0 0.5rem 0' }}>
+                Based on {sourceLabel}.
+                {permissions.roles.length > 0 && <><br /><strong>Roles:</strong> {permissions.roles.join(', ')}</>}
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', fontSize: '0.8em' }}>
+                {Object.entries(CAPABILITIES).map(([key, cap]) => {
+                    const value = permissions.status[key];
+                    return (
+                        <span
+                            key={key}
+                            title={permissions.reason(key) || undefined}
+                            style={{
+                                padding: '2px 8px', borderRadius: '12px',
+                                background: value === false ? '#7f1d1d' : (value ? '#065f46' : '#334155'),
+                                color: value === false ? '#fca5a5' : '#e2e8f0'
+                            }}
+                        >
+                            {value === false ? '✗' : (value ? '✓' : '?')} {cap.label}
+                        </span>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
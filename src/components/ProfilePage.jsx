@@ -0,0 +1,33 @@
+/**
+ * /profile: the logged-in admin's own account, plus raw data for debugging.
+ */
+export default function ProfilePage({ keycloak, userInfo }) {
+    return (
+        <div className="user-info" style={{ marginTop: '2rem' }}>
+            <h3 style={{ marginTop: 0, borderBottom: '1px solid #334155', paddingBottom: '0.5rem' }}>User Profile</h3>
+            <div className="field-group">
+                <label>Username</label>
+                <input readOnly value={userInfo?.username || ''} />
+            </div>
+            <div className="field-group">
+                <label>Email</label>
+                <input readOnly value={userInfo?.email || ''} />
+            </div>
+            <div className="field-group">
+                <label>Full Name</label>
+                <input readOnly value={`${userInfo?.firstName || ''} ${userInfo?.lastName || ''}`} />
+            </div>
+
+            <h3 style={{ marginTop: '1.5rem', borderBottom: '1px solid #334155', paddingBottom: '0.5rem' }}>Debug Info</h3>
+            <label>Raw JSON Data:</label>
+            <pre style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', fontSize: '0.85em', overflowX: 'auto' }}>
+                {JSON.stringify(userInfo, null, 2)}
+            </pre>
+
+            <label style={{ marginTop: '1rem' }}>Access Token (Truncated):</label>
+            <code style={{ display: 'block', wordBreak: 'break-all', fontSize: '0.8rem', color: '#94a3b8' }}>
+                {keycloak.token ? keycloak.token.substring(0, 50) + '...' : 'None'}
+            </code>
+        </div>
+    );
+}
@@ -0,0 +1,25 @@
+import { REQUIRED_ACTIONS } from '../services/userProfile';
+
+/**
+ * Checkboxes for Keycloak required actions. `value` is a list of aliases.
+ */
+export default function RequiredActionsPicker({ value, onChange, disabled = false }) {
+    const toggle = (alias) => onChange(value.includes(alias) ? value.filter(a => a !== alias) : [...value, alias]);
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+            {REQUIRED_ACTIONS.map(({ alias, label }) => (
+                <label key={alias} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>
+                    <input
+                        type="checkbox"
+                        disabled={disabled}
+                        checked={value.includes(alias)}
+                        onChange={() => toggle(alias)}
+                        style={{ width: 'auto', marginBottom: 0 }}
+                    />
+                    {label}
+                </label>
+            ))}
+        </div>
+    );
+}
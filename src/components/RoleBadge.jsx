@@ -0,0 +1,16 @@
+import { DEFAULT_ROLE_COLOR } from '../services/runtimeConfig';
+
+/**
+ * Pill for a realm role, labelled and colored per the deployment's managedRoles.
+ */
+export default function RoleBadge({ name, managedRoles = [] }) {
+    const role = managedRoles.find(r => r.name === name);
+    return (
+        <span title={role && role.label !== name ? name : undefined} style={{
+            background: role?.color || DEFAULT_ROLE_COLOR,
+            padding: '2px 8px', borderRadius: '12px', fontSize: '0.75em'
+        }}>
+            {role?.label || name}
+        </span>
+    );
+}
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import useAdminService from '../hooks/useAdminService';
+import useQuery from '../hooks/useQuery';
+import AttributeEditor from './AttributeEditor';
+import ErrorBanner from './ErrorBanner';
+import Link from './Link';
+import { attributesToRows, rowsToAttributes } from '../services/userProfile';
+
+const HOLDERS_PAGE_SIZE = 10;
+const GROUPS_LIMIT = 100;
+
+/**
+ * Right-hand panel of RoleManager: a realm role's description, attributes and composites,
+ * and who holds it (users assigned directly, groups granting it).
+ * Everything is read through the query cache; after a change onChanged() lets RoleManager
+ * invalidate the role queries, which reloads this panel as well.
+ * `readOnlyReason` (admin lacks manage-realm) disables every change. Mount with key={roleName}.
+ */
+export default function RoleDetail({ roleName, realmRoles, managedRole, readOnlyReason, onChanged, onDeleted }) {
+    const { adminService } = useAdminService();
+    const [holdersPage, setHoldersPage] = useState(0);
+    const [busy, setBusy] = useState(false);
+    const [actionError, setActionError] = useState(null);
+
+    const roleQuery = useQuery(['roles', 'detail', roleName], async (svc) => {
+        const role = await svc.getRoleByName(roleName);
+        return { role, composites: role.composite ? await svc.getRoleComposites(role.id) : [] };
+    });
+    const holdersQuery = useQuery(
+        ['roles', 'holders', roleName, holdersPage],
+        svc => svc.getRoleUsers(roleName, holdersPage * HOLDERS_PAGE_SIZE, HOLDERS_PAGE_SIZE)
+    );
+    const groupsQuery = useQuery(['roles', 'groups', roleName], svc => svc.getRoleGroups(roleName, 0, GROUPS_LIMIT));
+
+    // Editable description and attributes, reset to the server's values whenever the role is reloaded
+    const role = roleQuery.data?.role;
+    const [loadedRole, setLoadedRole] = useState(null);
+    const [description, setDescription] = useState('');
+    const [attributeRows, setAttributeRows] = useState([]);
+    if (role && role !== loadedRole) {
+        setLoadedRole(role);
+        setDescription(role.description || '');
+        setAttributeRows(attributesToRows(role.attributes));
+    }
+
+    // Run a change, then `after` (by default: have the role queries reloaded)
+    const change = async (action, after = onChanged) => {
+        setBusy(true);
+        setActionError(null);
+        try {
+            await action();
+            after();
+        } catch (err) {
+            console.error(err);
+            setActionError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const save = () => change(() => adminService.updateRealmRole(roleName, {
+        description: description.trim(),
+        attributes: rowsToAttributes(attributeRows)
+    }));
+
+    const toggleComposite = (child, included) => change(() => (included
+        ? adminService.removeRoleComposites(roleName, [child])
+        : adminService.addRoleComposites(roleName, [child])));
+
+    const remove = () => {
+        if (!window.confirm(`Delete role "${roleName}"? Every user, group and composite role loses it.`)) return;
+        change(() => adminService.deleteRealmRole(roleName), onDeleted);
+    };
+
+    const forbiddenHint = <>You need the <strong>manage-realm</strong> (or realm-admin) permission to change roles.</>;
+
+    if (!role) {
+        return roleQuery.error
+            ? <ErrorBanner error={roleQuery.error} keycloak={adminService.keycloak} context="Failed to load role" />
+            : <p>Loading role...</p>;
+    }
+
+    const composites = roleQuery.data.composites;
+    const holders = holdersQuery.data || [];
+    const groups = groupsQuery.data || [];
+    const locked = busy || !!readOnlyReason;
+    const lockedTitle = readOnlyReason || undefined;
+    // The realm's default role is referenced by Keycloak itself
+    const isDefaultRole = roleName.startsWith('default-roles-');
+    const clientComposites = composites.filter(r => r.clientRole);
+    const sectionTitle = { marginTop: '1.5rem', borderBottom: '1px solid #334155', paddingBottom: '0.5rem' };
+    const note = { fontSize: '0.8em', color: '#64748b', marginTop: 0 };
+    const smallButton = { padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' };
+
+    return (
+        <div>
+            <h3 style={{ marginTop: 0 }}>{role.name}</h3>
+            <p style={{ fontSize: '0.85em', color: '#94a3b8' }}>
+                {managedRole
+                    ? <>Assignable from this dashboard as <strong>{managedRole.label}</strong>.</>
+                    : 'Not in this deployment\'s managed roles, so it is not offered when editing users.'}
+            </p>
+
+            {readOnlyReason && (
+                <p style={{ fontSize: '0.85em', color: '#94a3b8' }}>🔒 Read-only. {readOnlyReason}</p>
+            )}
+
+            <ErrorBanner
+                error={actionError || holdersQuery.error || groupsQuery.error}
+                keycloak={adminService.keycloak}
+                forbiddenHint={forbiddenHint}
+            />
+
+            <div className="field-group">
+                <label>Description</label>
+                <input value={description} disabled={!!readOnlyReason} onChange={e => setDescription(e.target.value)} />
+            </div>
+            <div className="field-group">
+                <label>Attributes</label>
+                <AttributeEditor rows={attributeRows} onChange={setAttributeRows} />
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button disabled={locked} title={lockedTitle} onClick={save} style={{ ...smallButton, background: '#2563eb' }}>Save</button>
+                <button
+                    disabled={locked || isDefaultRole}
+                    title={lockedTitle || (isDefaultRole ? 'The realm default role cannot be deleted' : undefined)}
+                    onClick={remove}
+                    style={{ ...smallButton, background: '#dc2626' }}
+                >
+                    Delete Role
+                </button>
+            </div>
+
+            <h4 style={sectionTitle}>Composite Of</h4>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.8rem' }}>
+                {realmRoles.filter(r => r.id !== role.id).map(child => {
+                    const included = composites.some(r => r.id === child.id);
+                    return (
+                        <label key={child.id} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', marginBottom: 0, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                disabled={locked}
+                                checked={included}
+                                onChange={() => toggleComposite(child, included)}
+                                style={{ width: 'auto', marginBottom: 0 }}
+                            />
+                            {child.name}
+                        </label>
+                    );
+                })}
+            </div>
+            {clientComposites.length > 0 && (
+                <p style={{ fontSize: '0.85em', color: '#94a3b8' }}>
+                    Also includes client roles: {clientComposites.map(r => r.name).join(', ')}
+                </p>
+            )}
+
+            <h4 style={sectionTitle}>Assigned Directly To</h4>
+            <p style={note}>Users holding the role through a group below or a composite role are not listed here.</p>
+            {holdersQuery.loading && !holdersQuery.data ? (
+                <p>Loading users...</p>
+            ) : holders.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>{holdersPage === 0 ? 'No user holds this role directly.' : 'No more users.'}</p>
+            ) : (
+                <ul style={{ paddingLeft: '1.2rem' }}>
+                    {holders.map(u => (
+                        <li key={u.id}>
+                            <Link to={`/users/${encodeURIComponent(u.id)}`}>{u.username}</Link>{' '}
+                            <span style={{ color: '#64748b' }}>{u.email}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <button disabled={holdersPage === 0} onClick={() => setHoldersPage(p => p - 1)} style={smallButton}>Previous</button>
+                <span style={{ fontSize: '0.85em' }}>Page {holdersPage + 1}</span>
+                <button disabled={holdersQuery.loading || holders.length < HOLDERS_PAGE_SIZE} onClick={() => setHoldersPage(p => p + 1)} style={smallButton}>Next</button>
+            </div>
+
+            <h4 style={sectionTitle}>Granted By Groups</h4>
+            <p style={note}>Every member of these groups and of their subgroups holds the role.</p>
+            {groupsQuery.loading && !groupsQuery.data ? (
+                <p>Loading groups...</p>
+            ) : groups.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>No group grants this role.</p>
+            ) : (
+                <ul style={{ paddingLeft: '1.2rem' }}>
+                    {groups.map(g => <li key={g.id}>{g.path || g.name}</li>)}
+                    {groups.length === GROUPS_LIMIT && <li style={{ color: '#64748b' }}>Only the first {GROUPS_LIMIT} groups are shown.</li>}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import useAdminService from '../hooks/useAdminService';
+import useQuery from '../hooks/useQuery';
+import ErrorBanner from './ErrorBanner';
+import RoleBadge from './RoleBadge';
+import RoleDetail from './RoleDetail';
+
+/**
+ * Realm role catalog: list, create, edit, compose and delete realm roles.
+ * Roles listed in the deployment's managedRoles are the ones UserManager assigns.
+ */
+export default function RoleManager({ keycloak, permissions, managedRoles }) {
+    const [mutationError, setMutationError] = useState(null);
+    const [selectedName, setSelectedName] = useState(null);
+    const [search, setSearch] = useState('');
+
+    const { adminService, queries } = useAdminService();
+    const rolesQuery = useQuery(['roles', 'list'], svc => svc.getRealmRoles());
+    const roles = [...(rolesQuery.data || [])].sort((a, b) => a.name.localeCompare(b.name));
+    const loading = rolesQuery.loading && !rolesQuery.data;
+    const error = mutationError || rolesQuery.error;
+    const readOnlyReason = permissions.reason('manageRealm');
+
+    // Role changes also change who holds what (composites), so drop every role query
+    const invalidateRoles = () => queries.invalidate(['roles']);
+
+    const createRole = async () => {
+        const name = window.prompt('Name of the new realm role:');
+        if (!name?.trim()) return;
+        setMutationError(null);
+        try {
+            await adminService.createRealmRole({ name: name.trim() });
+            setSelectedName(name.trim());
+            invalidateRoles();
+        } catch (err) {
+            setMutationError(err);
+        }
+    };
+
+    const term = search.trim().toLowerCase();
+    const visibleRoles = term ? roles.filter(r => r.name.toLowerCase().includes(term)) : roles;
+
+    return (
+        <div style={{ marginTop: '2rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h2>Realm Roles</h2>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <button onClick={rolesQuery.refetch} style={{ backgroundColor: '#3b82f6' }}>
+                        ↻ Refresh
+                    </button>
+                    <button
+                        onClick={createRole}
+                        disabled={!!readOnlyReason}
+                        title={readOnlyReason || undefined}
+                        style={{ backgroundColor: '#10b981' }}
+                    >
+                        + New Role
+                    </button>
+                </div>
+            </div>
+
+            <ErrorBanner
+                error={error}
+                keycloak={keycloak}
+                forbiddenHint={<>You need the <strong>manage-realm</strong> (or realm-admin) permission to change roles.</>}
+            />
+
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start', textAlign: 'left' }}>
+                <div className="user-info" style={{ flex: '0 0 35%', padding: '1rem' }}>
+                    <input
+                        type="search"
+                        placeholder="Filter roles..."
+                        value={search}
+                        onChange={e => setSearch(e.target.value)}
+                    />
+                    {loading ? <p>Loading roles...</p> : (
+                        <ul style={{ padding: 0, margin: 0, maxHeight: '50vh', overflowY: 'auto' }}>
+                            {visibleRoles.map(role => (
+                                <li
+                                    key={role.id}
+                                    onClick={() => setSelectedName(role.name)}
+                                    style={{
+                                        listStyle: 'none', padding: '0.3rem 0.5rem', cursor: 'pointer', borderRadius: '4px',
+                                        display: 'flex', gap: '0.4rem', alignItems: 'center', flexWrap: 'wrap',
+                                        background: role.name === selectedName ? '#334155' : 'transparent'
+                                    }}
+                                >
+                                    {managedRoles.some(m => m.name === role.name)
+                                        ? <RoleBadge name={role.name} managedRoles={managedRoles} />
+                                        : role.name}
+                                    {role.composite && <span style={{ fontSize: '0.75em', color: '#94a3b8' }}>composite</span>}
+                                </li>
+                            ))}
+                            {visibleRoles.length === 0 && (
+                                <li style={{ listStyle: 'none', color: '#94a3b8', fontStyle: 'italic' }}>No roles found.</li>
+                            )}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="user-info" style={{ flex: 1, padding: '1rem' }}>
+                    {selectedName ? (
+                        <RoleDetail
+                            key={selectedName}
+                            roleName={selectedName}
+                            realmRoles={roles}
+                            managedRole={managedRoles.find(m => m.name === selectedName)}
+                            readOnlyReason={readOnlyReason}
+                            onChanged={invalidateRoles}
+                            onDeleted={() => { setSelectedName(null); invalidateRoles(); }}
+                        />
+                    ) : (
+                        <p style={{ color: '#94a3b8' }}>Select a role to edit it and see who holds it.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,176 @@
+import { useState, useRef } from 'react';
+import ErrorBanner from './ErrorBanner';
+import { ANALYTICS_WINDOWS, LoginAnalytics, toEventDate } from '../services/loginAnalytics';
+
+const PAGE_SIZE = 500;
+// Stop reading after this many events so a busy realm can't freeze the tab
+const MAX_EVENTS = 20000;
+
+function TopList({ title, entries }) {
+    const max = entries[0]?.count || 1;
+    return (
+        <div className="user-info" style={{ padding: '1rem', flex: '1 1 220px' }}>
+            <h4 style={{ margin: '0 0 0.6rem' }}>{title}</h4>
+            {entries.length === 0 && <div style={{ color: '#64748b', fontSize: '0.85em' }}>None</div>}
+            {entries.map(({ key, count }) => (
+                <div key={key} style={{ marginBottom: '0.4rem', fontSize: '0.85em' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                        <span style={{ wordBreak: 'break-all' }}>{key}</span>
+                        <strong>{count}</strong>
+                    </div>
+                    <div style={{ height: '4px', background: '#334155', borderRadius: '2px' }}>
+                        <div style={{ height: '100%', width: `${(count / max) * 100}%`, background: '#f87171', borderRadius: '2px' }} />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Stacked bar chart of successful vs failed logins per time bucket (plain SVG)
+ */
+function LoginTimeline({ timeline }) {
+    const width = 600;
+    const height = 140;
+    const max = Math.max(1, ...timeline.map(b => b.success + b.failed));
+    const barWidth = width / timeline.length;
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height + 20}`} style={{ width: '100%', height: 'auto', background: '#0f172a', borderRadius: '6px' }}>
+            {timeline.map((b, i) => {
+                const successH = (b.success / max) * height;
+                const failedH = (b.failed / max) * height;
+                return (
+                    <g key={b.start}>
+                        <title>{`${new Date(b.start).toLocaleString()}: ${b.success} ok, ${b.failed} failed`}</title>
+                        <rect x={i * barWidth + 1} y={height - successH - failedH} width={Math.max(1, barWidth - 2)} height={failedH} fill="#f87171" />
+                        <rect x={i * barWidth + 1} y={height - successH} width={Math.max(1, barWidth - 2)} height={successH} fill="#34d399" />
+                    </g>
+                );
+            })}
+            <text x="4" y={height + 15} fill="#94a3b8" fontSize="10">{new Date(timeline[0]?.start).toLocaleString()}</text>
+            <text x={width - 4} y={height + 15} fill="#94a3b8" fontSize="10" textAnchor="end">now</text>
+        </svg>
+    );
+}
+
+/**
+ * Aggregated view of login successes/failures over a time window, with
+ * simple detection of credential stuffing and brute-force bursts.
+ */
+export default function SecurityAnalytics({ keycloak, adminService }) {
+    const [windowKey, setWindowKey] = useState('24h');
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null); // events read so far, null when idle
+    const [truncated, setTruncated] = useState(false);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    const analyze = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        const { ms, bucketMs } = ANALYTICS_WINDOWS[windowKey];
+        const to = Date.now();
+        const from = to - ms;
+        const analytics = new LoginAnalytics(from, to, bucketMs);
+
+        setError(null);
+        setTruncated(false);
+        setProgress(0);
+        try {
+            // /events filters by day; the exact window is applied while aggregating
+            const filters = { types: ['LOGIN', 'LOGIN_ERROR'], dateFrom: toEventDate(from), dateTo: toEventDate(to) };
+            let read = 0;
+            for (let first = 0; ; first += PAGE_SIZE) {
+                if (controller.signal.aborted) break;
+                const page = (await adminService.getEvents(first, PAGE_SIZE, filters)) || [];
+                analytics.add(page);
+                read += page.length;
+                setProgress(read);
+                if (page.length < PAGE_SIZE) break;
+                if (read >= MAX_EVENTS) {
+                    setTruncated(true);
+                    break;
+                }
+            }
+            setResult(analytics.summary());
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div style={{ textAlign: 'left' }}>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap' }}>
+                <select value={windowKey} disabled={progress !== null} onChange={e => setWindowKey(e.target.value)} style={{ width: 'auto', marginBottom: 0 }}>
+                    {Object.entries(ANALYTICS_WINDOWS).map(([key, w]) => <option key={key} value={key}>{w.label}</option>)}
+                </select>
+                {progress === null ? (
+                    <button onClick={analyze} style={{ padding: '0.4rem 0.9rem', fontSize: '0.9em', background: '#2563eb' }}>
+                        Analyze
+                    </button>
+                ) : (
+                    <>
+                        <span style={{ fontSize: '0.85em', color: '#94a3b8' }}>Reading events... {progress}</span>
+                        <button onClick={() => abortRef.current?.abort()} style={{ padding: '0.4rem 0.9rem', fontSize: '0.9em', background: '#475569' }}>
+                            Stop
+                        </button>
+                    </>
+                )}
+            </div>
+
+            <ErrorBanner error={error} keycloak={keycloak} forbiddenHint={<>You need <strong>view-events</strong> (or realm-admin) permission.</>} />
+
+            {truncated && (
+                <p style={{ color: '#f59e0b', fontSize: '0.85em' }}>
+                    Only the most recent {MAX_EVENTS} events were analyzed. Choose a shorter window for complete numbers.
+                </p>
+            )}
+
+            {!result && progress === null && (
+                <p style={{ color: '#94a3b8' }}>Pick a time window and click Analyze. Requires "Save Events" with LOGIN and LOGIN_ERROR enabled.</p>
+            )}
+
+            {result && (
+                <>
+                    <div style={{ display: 'flex', gap: '1.5rem', marginBottom: '1rem' }}>
+                        <div><span style={{ color: '#34d399', fontSize: '1.5em', fontWeight: 'bold' }}>{result.total.success}</span> successful logins</div>
+                        <div><span style={{ color: '#f87171', fontSize: '1.5em', fontWeight: 'bold' }}>{result.total.failed}</span> failed logins</div>
+                    </div>
+
+                    <h4>Suspicious Patterns</h4>
+                    {result.findings.length === 0 ? (
+                        <p style={{ color: '#34d399' }}>No suspicious patterns detected.</p>
+                    ) : (
+                        <div style={{ marginBottom: '1rem' }}>
+                            {result.findings.map((f, idx) => (
+                                <div key={idx} style={{
+                                    padding: '0.6rem 1rem', marginBottom: '0.5rem', borderRadius: '6px',
+                                    background: f.severity === 'high' ? '#7f1d1d' : '#78350f',
+                                    color: f.severity === 'high' ? '#fca5a5' : '#fde68a'
+                                }}>
+                                    <strong>{f.kind}:</strong> {f.subject} <span style={{ fontSize: '0.85em' }}>({f.detail})</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <h4>Successful vs Failed Logins</h4>
+                    <LoginTimeline timeline={result.timeline} />
+
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '1rem' }}>
+                        <TopList title="Failures per User" entries={result.failuresByUser} />
+                        <TopList title="Failures per IP" entries={result.failuresByIp} />
+                        <TopList title="Failures per Client" entries={result.failuresByClient} />
+                        <TopList title="Errors by Type" entries={result.errorsByType} />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
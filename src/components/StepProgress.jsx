@@ -0,0 +1,34 @@
+const STATUS_STYLE = {
+    pending: { icon: '○', color: '#64748b' },
+    running: { icon: '⟳', color: '#60a5fa' },
+    done: { icon: '✓', color: '#34d399' },
+    failed: { icon: '✕', color: '#f87171' },
+    skipped: { icon: '–', color: '#64748b' },
+    rolledBack: { icon: '↺', color: '#f59e0b' }
+};
+
+/**
+ * Checklist view of a StepTransaction's steps
+ */
+export default function StepProgress({ steps }) {
+    return (
+        <ul style={{ listStyle: 'none', padding: '1rem', margin: 0, background: '#0f172a', borderRadius: '6px', border: '1px solid #334155' }}>
+            {steps.map(step => {
+                const { icon, color } = STATUS_STYLE[step.status];
+                return (
+                    <li key={step.key} style={{ marginBottom: '0.4rem' }}>
+                        <span style={{ color, display: 'inline-block', width: '1.5rem' }}>{icon}</span>
+                        <span style={{ color: step.status === 'skipped' ? '#64748b' : '#e2e8f0' }}>{step.label}</span>
+                        {step.status === 'skipped' && <small style={{ color: '#64748b' }}> (skipped)</small>}
+                        {step.status === 'rolledBack' && <small style={{ color }}> (rolled back)</small>}
+                        {step.error && (
+                            <div style={{ color: '#f87171', fontSize: '0.85em', marginLeft: '1.5rem' }}>
+                                {step.error.errorMessage || step.error.message}
+                            </div>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
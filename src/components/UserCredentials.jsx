@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import ErrorBanner from './ErrorBanner';
+
+// Credential types an admin may remove so the user can enroll again
+const REMOVABLE_TYPES = ['otp', 'webauthn', 'webauthn-passwordless'];
+
+const TYPE_LABELS = {
+    password: 'Password',
+    otp: 'OTP',
+    webauthn: 'WebAuthn',
+    'webauthn-passwordless': 'WebAuthn (passwordless)'
+};
+
+/**
+ * Stored credentials of a user in the edit modal. Mount with key={userId}.
+ */
+export default function UserCredentials({ adminService, userId }) {
+    const [credentials, setCredentials] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        adminService.getUserCredentials(userId)
+            .then(result => {
+                if (cancelled) return;
+                setCredentials(result);
+                setError(null);
+            })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setError(err);
+            });
+        return () => { cancelled = true; };
+    }, [adminService, userId, version]);
+
+    const remove = async (credential) => {
+        const label = credential.userLabel || TYPE_LABELS[credential.type] || credential.type;
+        if (!window.confirm(`Delete ${label}? The user will have to set it up again.`)) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await adminService.deleteUserCredential(userId, credential.id);
+            setVersion(v => v + 1);
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const cell = { padding: '0.4rem 0.6rem', borderBottom: '1px solid #334155' };
+
+    return (
+        <div style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', border: '1px solid #334155' }}>
+            <ErrorBanner error={error} keycloak={adminService.keycloak} />
+            {credentials === null && !error && <div style={{ color: '#94a3b8' }}>Loading credentials...</div>}
+            {credentials?.length === 0 && <div style={{ color: '#94a3b8', fontStyle: 'italic' }}>No stored credentials</div>}
+            {credentials?.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em', textAlign: 'left' }}>
+                    <tbody>
+                        {credentials.map(credential => (
+                            <tr key={credential.id}>
+                                <td style={cell}>{TYPE_LABELS[credential.type] || credential.type}</td>
+                                <td style={cell}>{credential.userLabel || '-'}</td>
+                                <td style={cell}>
+                                    {credential.createdDate ? new Date(credential.createdDate).toLocaleString() : '-'}
+                                </td>
+                                <td style={{ ...cell, textAlign: 'right' }}>
+                                    {REMOVABLE_TYPES.includes(credential.type) && (
+                                        <button
+                                            type="button"
+                                            disabled={busy}
+                                            onClick={() => remove(credential)}
+                                            style={{ padding: '0.2rem 0.6rem', fontSize: '0.85em', background: '#dc2626' }}
+                                        >
+                                            Delete
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
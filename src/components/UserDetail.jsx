@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { ErrorKind } from '../services/keycloakAdmin';
+import { EMPTY_EVENT_FILTERS, EVENT_TYPES, writeEventFiltersToQuery } from '../services/eventFilters';
+import { REQUIRED_ACTIONS } from '../services/userProfile';
+import useAdminService from '../hooks/useAdminService';
+import useQuery from '../hooks/useQuery';
+import ErrorBanner from './ErrorBanner';
+import Link from './Link';
+import LockoutBadge from './LockoutBadge';
+import EffectiveRoles from './EffectiveRoles';
+import UserSessions from './UserSessions';
+import UserCredentials from './UserCredentials';
+
+const RECENT_EVENTS = 10;
+
+/**
+ * Latest login events of one user, with a link to the full, filtered Audit Log.
+ */
+function RecentEvents({ userId }) {
+    const { data, error } = useQuery(
+        ['events', 'login', 'user', userId],
+        svc => svc.getEvents(0, RECENT_EVENTS, { ...EMPTY_EVENT_FILTERS, types: EVENT_TYPES, user: userId }),
+        { staleMs: 0 }
+    );
+    const events = data === undefined ? null : data || [];
+
+    const auditQuery = writeEventFiltersToQuery({ ...EMPTY_EVENT_FILTERS, user: userId }, new URLSearchParams()).toString();
+
+    if (error) return <p style={{ color: '#f87171' }}>{error.errorMessage || error.message}</p>;
+    if (!events) return <p>Loading events...</p>;
+
+    return (
+        <>
+            {events.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>No stored events for this user.</p>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+                    <tbody>
+                        {events.map((evt, i) => (
+                            <tr key={`${evt.time}-${i}`} style={{ borderBottom: '1px solid #334155' }}>
+                                <td style={{ padding: '0.4rem' }}>{new Date(evt.time).toLocaleString()}</td>
+                                <td style={{ padding: '0.4rem', color: evt.type.endsWith('_ERROR') ? '#f87171' : '#e2e8f0' }}>{evt.type}</td>
+                                <td style={{ padding: '0.4rem' }}>{evt.clientId}</td>
+                                <td style={{ padding: '0.4rem', color: '#94a3b8' }}>{evt.ipAddress}{evt.error ? ` · ${evt.error}` : ''}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <p style={{ fontSize: '0.85em' }}>
+                <Link to={`/audit?${auditQuery}`}>Open in Audit Logs →</Link>
+            </p>
+        </>
+    );
+}
+
+/**
+ * /users/:id page: one user's profile, lockout state, roles, groups, sessions,
+ * credentials and recent events. Mount with key={userId}.
+ */
+export default function UserDetail({ keycloak, userId, permissions }) {
+    const [user, setUser] = useState(null);
+    const [groups, setGroups] = useState([]);
+    const [bruteForce, setBruteForce] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const { adminService } = useAdminService();
+    const canManage = permissions.can('manageUsers');
+
+    useEffect(() => {
+        // Leaving the page (or another user) cancels whatever is still loading
+        const controller = new AbortController();
+        const svc = adminService.withSignal(controller.signal);
+        Promise.all([
+            svc.getUser(userId),
+            svc.getUserGroups(userId),
+            // Lockout status is optional: brute-force detection may be off
+            svc.getBruteForceStatus(userId).catch(err => {
+                if (err.name === 'AbortError') throw err;
+                return null;
+            })
+        ])
+            .then(([u, g, bf]) => {
+                setUser(u);
+                setGroups(g);
+                setBruteForce(bf);
+            })
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+                console.error(err);
+                setError(err);
+            });
+        return () => controller.abort();
+    }, [adminService, userId]);
+
+    const unlock = async () => {
+        setBusy(true);
+        try {
+            await adminService.clearBruteForceForUser(userId);
+            setBruteForce(await adminService.getBruteForceStatus(userId));
+        } catch (err) {
+            setError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const sectionTitle = { marginTop: '1.5rem', borderBottom: '1px solid #334155', paddingBottom: '0.5rem' };
+    const back = <p style={{ fontSize: '0.9em' }}><Link to="/users">← All users</Link></p>;
+
+    if (error && !user) {
+        return (
+            <div style={{ marginTop: '2rem' }}>
+                {back}
+                <ErrorBanner
+                    error={error.kind === ErrorKind.NOT_FOUND ? `No user with id ${userId} in realm ${adminService.realm}.` : error}
+                    keycloak={keycloak}
+                    context="Failed to load user"
+                />
+            </div>
+        );
+    }
+    if (!user) return <p style={{ marginTop: '2rem' }}>Loading user...</p>;
+
+    const attributes = Object.entries(user.attributes || {});
+
+    return (
+        <div style={{ marginTop: '2rem', textAlign: 'left' }}>
+            {back}
+            <h2 style={{ marginBottom: '0.2rem' }}>{user.username}</h2>
+            <div style={{ fontSize: '0.85em', color: user.enabled ? '#34d399' : '#f87171' }}>
+                {user.enabled ? 'Active' : 'Disabled'}
+            </div>
+            <LockoutBadge status={bruteForce} busy={busy} onUnlock={canManage ? unlock : null} />
+            <ErrorBanner error={error} keycloak={keycloak} />
+
+            <h3 style={sectionTitle}>Profile</h3>
+            <table style={{ fontSize: '0.9em', borderCollapse: 'collapse' }}>
+                <tbody>
+                    {[
+                        ['Email', user.email ? `${user.email}${user.emailVerified ? ' (verified)' : ' (not verified)'}` : '-'],
+                        ['Name', `${user.firstName || ''} ${user.lastName || ''}`.trim() || '-'],
+                        ['Created', user.createdTimestamp ? new Date(user.createdTimestamp).toLocaleString() : '-'],
+                        ['Identity providers', user.federatedIdentities?.map(f => f.identityProvider).join(', ') || '-'],
+                        ['Required actions', user.requiredActions?.map(a => REQUIRED_ACTIONS.find(r => r.alias === a)?.label || a).join(', ') || '-'],
+                        ['ID', user.id],
+                        ...attributes.map(([key, values]) => [key, [].concat(values).join(', ')])
+                    ].map(([label, value]) => (
+                        <tr key={label}>
+                            <td style={{ padding: '0.3rem 1rem 0.3rem 0', color: '#94a3b8', verticalAlign: 'top' }}>{label}</td>
+                            <td style={{ padding: '0.3rem 0', wordBreak: 'break-all' }}>{value}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h3 style={sectionTitle}>Roles</h3>
+            <EffectiveRoles key={userId} adminService={adminService} userId={userId} />
+
+            <h3 style={sectionTitle}>Groups</h3>
+            {groups.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>Not a member of any group.</p>
+            ) : (
+                <ul style={{ paddingLeft: '1.2rem' }}>
+                    {groups.map(g => <li key={g.id}>{g.path}</li>)}
+                </ul>
+            )}
+
+            <h3 style={sectionTitle}>Sessions</h3>
+            <UserSessions key={userId} adminService={adminService} userId={userId} username={user.username} />
+
+            <h3 style={sectionTitle}>Credentials</h3>
+            <UserCredentials key={userId} adminService={adminService} userId={userId} />
+
+            <h3 style={sectionTitle}>Recent Events</h3>
+            {permissions.can('viewEvents')
+                ? <RecentEvents userId={userId} />
+                : <p style={{ color: '#94a3b8' }}>🔒 {permissions.reason('viewEvents')}</p>}
+        </div>
+    );
+}
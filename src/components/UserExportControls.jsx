@@ -0,0 +1,81 @@
+import { useState, useRef } from 'react';
+import { USER_EXPORT_FORMATS, exportUsers } from '../services/userExport';
+import { downloadBlob, fileTimestamp } from '../services/download';
+
+/**
+ * "Export users" panel above the user table: exports everyone matching the
+ * current search, optionally narrowed to one realm role, with progress and Cancel.
+ */
+export default function UserExportControls({ adminService, filters, availableRoles, matchingCount, realm }) {
+    const [format, setFormat] = useState('csv');
+    const [role, setRole] = useState('');
+    const [includeLastLogin, setIncludeLastLogin] = useState(false);
+    const [progress, setProgress] = useState(null); // { scanned, exported }, null when idle
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    const start = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setProgress({ scanned: 0, exported: 0 });
+        try {
+            const { blob } = await exportUsers(adminService, {
+                filters, format, role, includeLastLogin,
+                signal: controller.signal,
+                onProgress: setProgress
+            });
+            const suffix = role ? `-${role}` : '';
+            downloadBlob(blob, `users-${realm}${suffix}-${fileTimestamp()}.${USER_EXPORT_FORMATS[format].extension}`);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error(err);
+                setError(err);
+            }
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const running = progress !== null;
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1rem', fontSize: '0.9em' }}>
+            <select value={format} disabled={running} onChange={e => setFormat(e.target.value)} style={{ width: 'auto', marginBottom: 0 }}>
+                {Object.entries(USER_EXPORT_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+            </select>
+            <select value={role} disabled={running} onChange={e => setRole(e.target.value)} style={{ width: 'auto', marginBottom: 0 }}>
+                <option value="">Any role</option>
+                {availableRoles.map(r => <option key={r.id} value={r.name}>Only direct {r.name}</option>)}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', marginBottom: 0 }} title="One extra request per user">
+                <input
+                    type="checkbox"
+                    checked={includeLastLogin}
+                    disabled={running}
+                    onChange={e => setIncludeLastLogin(e.target.checked)}
+                    style={{ width: 'auto', marginBottom: 0 }}
+                />
+                Last login (slower)
+            </label>
+            {running ? (
+                <>
+                    <span style={{ color: '#94a3b8' }}>
+                        {role
+                            ? `Exporting... ${progress.exported} user(s) holding ${role}`
+                            : `Exporting... ${progress.scanned}${matchingCount != null ? ` / ${matchingCount}` : ''} users scanned`}
+                    </span>
+                    <button onClick={() => abortRef.current?.abort()} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#475569' }}>
+                        Cancel
+                    </button>
+                </>
+            ) : (
+                <button onClick={start} style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: '#0d9488' }}>
+                    ⤓ Export users
+                </button>
+            )}
+            {error && <span style={{ color: '#f87171' }}>Export failed: {error.errorMessage || error.message}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+/**
+ * Flatten a group search result (matching groups with their subtree inlined)
+ */
+function flattenGroups(groups) {
+    return groups.flatMap(g => [g, ...flattenGroups(g.subGroups || [])]);
+}
+
+/**
+ * Group memberships in the user edit modal.
+ * `value` is the list of groups ({ id, path }) the user should end up in; the parent
+ * diffs it against the original membership on Save.
+ */
+export default function UserGroupsEditor({ adminService, value, onChange }) {
+    const [search, setSearch] = useState('');
+    const debouncedSearch = useDebouncedValue(search, 300);
+    const [results, setResults] = useState([]);
+
+    useEffect(() => {
+        const term = debouncedSearch.trim();
+        let cancelled = false;
+        (term ? adminService.getGroups(term, 0, 20) : Promise.resolve([]))
+            .then(groups => !cancelled && setResults(flattenGroups(groups)))
+            .catch(err => console.warn('Group search failed', err));
+        return () => { cancelled = true; };
+    }, [adminService, debouncedSearch]);
+
+    const memberIds = new Set(value.map(g => g.id));
+
+    return (
+        <div style={{
+            background: '#0f172a', padding: '1rem', borderRadius: '6px',
+            border: '1px solid #334155'
+        }}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.8rem' }}>
+                {value.length === 0 && <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>Not a member of any group</span>}
+                {value.map(group => (
+                    <span key={group.id} style={{ background: '#10b981', padding: '2px 8px', borderRadius: '12px', fontSize: '0.8em' }}>
+                        {group.path}
+                        <span
+                            onClick={() => onChange(value.filter(g => g.id !== group.id))}
+                            title="Remove from group"
+                            style={{ marginLeft: '0.4rem', cursor: 'pointer' }}
+                        >
+                            ✕
+                        </span>
+                    </span>
+                ))}
+            </div>
+            <input
+                type="search"
+                placeholder="Search groups to add..."
+                value={search}
+                onChange={e => setSearch(e.target.value)}
+                style={{ marginBottom: results.length ? '0.5rem' : 0 }}
+            />
+            {results.length > 0 && (
+                <div style={{ maxHeight: '120px', overflowY: 'auto' }}>
+                    {results.filter(g => !memberIds.has(g.id)).map(group => (
+                        <div
+                            key={group.id}
+                            onClick={() => onChange([...value, { id: group.id, path: group.path }])}
+                            style={{ padding: '0.2rem 0', cursor: 'pointer', color: '#e2e8f0' }}
+                        >
+                            + {group.path}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,201 @@
+import { useState, useRef } from 'react';
+import { CONFLICT_POLICIES, parseImportFile, planImport, runImport, importResultsToCsv } from '../services/userImport';
+import { downloadBlob, fileTimestamp } from '../services/download';
+import ErrorBanner from './ErrorBanner';
+
+const ACTION_COLORS = { create: '#34d399', update: '#60a5fa', skip: '#94a3b8', invalid: '#f87171' };
+const STATUS_COLORS = { created: '#34d399', updated: '#60a5fa', skipped: '#94a3b8', failed: '#f87171' };
+
+/**
+ * Body of the "Import Users" modal: pick a CSV/JSON file, review the dry-run report,
+ * then import with progress and download the per-user result file.
+ * Only the deployment's `managedRoles` can be granted.
+ * onClose(changed) -> changed is true when accounts were written.
+ */
+export default function UserImport({ adminService, realm, managedRoles, onClose }) {
+    const [fileName, setFileName] = useState('');
+    const [records, setRecords] = useState(null);
+    const [conflictPolicy, setConflictPolicy] = useState('skip');
+    const [plan, setPlan] = useState(null);
+    const [progress, setProgress] = useState(null); // { phase, done, total, failed }
+    const [results, setResults] = useState(null);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    const running = progress !== null;
+
+    const readFile = async (file) => {
+        setError(null);
+        setPlan(null);
+        setResults(null);
+        setRecords(null);
+        setFileName(file?.name || '');
+        if (!file) return;
+        try {
+            const parsed = parseImportFile(await file.text(), file.name);
+            if (parsed.length === 0) throw new Error('The file contains no users.');
+            setRecords(parsed);
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    const withProgress = async (phase, fn) => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setProgress({ phase, done: 0, total: 0, failed: 0 });
+        try {
+            await fn(controller.signal, p => setProgress({ phase, ...p }));
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const validate = () => withProgress('Validating', async (signal, onProgress) => {
+        setResults(null);
+        setPlan(await planImport(adminService, records, conflictPolicy, { managedRoles, signal, onProgress }));
+    });
+
+    const runIt = () => withProgress('Importing', async (signal, onProgress) => {
+        setResults(await runImport(adminService, plan, { signal, onProgress }));
+    });
+
+    const downloadResults = () => downloadBlob(importResultsToCsv(results), `user-import-${realm}-${fileTimestamp()}.csv`);
+
+    const toWrite = plan ? plan.rows.filter(r => r.action === 'create' || r.action === 'update').length : 0;
+    const cell = { padding: '0.3rem 0.5rem', borderBottom: '1px solid #1e293b', verticalAlign: 'top' };
+    const smallButton = { padding: '0.4rem 0.9rem', fontSize: '0.9em' };
+
+    return (
+        <div>
+            <p style={{ color: '#94a3b8', fontSize: '0.85em', marginTop: 0 }}>
+                CSV columns: <code>username, email, firstName, lastName, enabled, roles, groups, password, temporary</code> and{' '}
+                <code>attr:&lt;name&gt;</code> per attribute; separate lists with <code>;</code>. JSON: an array of objects with the same fields.
+                Empty cells leave existing users' values alone (a missing <code>enabled</code> never re-enables an account).
+                Assignable roles: {managedRoles.length ? managedRoles.map(r => r.name).join(', ') : 'none'}.
+            </p>
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <input
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    disabled={running}
+                    onChange={e => readFile(e.target.files[0])}
+                    style={{ flex: '1 1 200px', marginBottom: 0 }}
+                />
+                <select
+                    value={conflictPolicy}
+                    disabled={running}
+                    onChange={e => { setConflictPolicy(e.target.value); setPlan(null); }}
+                    style={{ width: 'auto', marginBottom: 0 }}
+                >
+                    {Object.entries(CONFLICT_POLICIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                <button disabled={!records || running} onClick={validate} style={{ ...smallButton, background: '#2563eb' }}>
+                    Validate
+                </button>
+            </div>
+
+            {records && !plan && !running && (
+                <p style={{ fontSize: '0.85em' }}>{records.length} user(s) read from {fileName}. Validate to see what would happen.</p>
+            )}
+
+            <ErrorBanner error={error} keycloak={adminService.keycloak} />
+
+            {progress && (
+                <div style={{ marginTop: '1rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85em', color: '#94a3b8', marginBottom: '0.3rem' }}>
+                        <span>{progress.phase}... {progress.done} / {progress.total}{progress.failed ? `, ${progress.failed} failed` : ''}</span>
+                        <a href="#" onClick={e => { e.preventDefault(); abortRef.current?.abort(); }}>Cancel</a>
+                    </div>
+                    <div style={{ height: '6px', background: '#334155', borderRadius: '3px', overflow: 'hidden' }}>
+                        <div style={{
+                            height: '100%', background: progress.failed ? '#f59e0b' : '#10b981',
+                            width: progress.total ? `${(progress.done / progress.total) * 100}%` : '0%'
+                        }} />
+                    </div>
+                </div>
+            )}
+
+            {plan && !results && (
+                <div style={{ marginTop: '1rem' }}>
+                    <strong>Dry run:</strong>{' '}
+                    {['create', 'update', 'skip', 'invalid'].map(action => {
+                        const n = plan.rows.filter(r => r.action === action).length;
+                        return n > 0 && <span key={action} style={{ color: ACTION_COLORS[action], marginRight: '0.8rem' }}>{n} {action}</span>;
+                    })}
+                    <div style={{ maxHeight: '40vh', overflowY: 'auto', marginTop: '0.5rem' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85em' }}>
+                            <tbody>
+                                {plan.rows.map(row => (
+                                    <tr key={row.record.line}>
+                                        <td style={{ ...cell, color: '#64748b' }}>{row.record.line}</td>
+                                        <td style={cell}>{row.record.username || <em>(none)</em>}</td>
+                                        <td style={{ ...cell, color: ACTION_COLORS[row.action] }}>{row.action}</td>
+                                        <td style={cell}>
+                                            {row.issues.map((issue, i) => (
+                                                <div key={i} style={{ color: issue.severity === 'error' ? '#f87171' : '#f59e0b' }}>{issue.message}</div>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {plan.errors > 0 ? (
+                        <p style={{ color: '#f87171', fontSize: '0.85em' }}>
+                            {plan.errors} error(s). Fix the file (or change the conflict policy) and validate again; nothing is imported while errors remain.
+                        </p>
+                    ) : (
+                        <button
+                            disabled={running || toWrite === 0}
+                            onClick={runIt}
+                            style={{ ...smallButton, marginTop: '0.8rem', background: '#10b981' }}
+                        >
+                            Import {toWrite} user(s)
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {results && (
+                <div style={{ marginTop: '1rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <strong>
+                            {['created', 'updated', 'skipped', 'failed'].map(status => {
+                                const n = results.filter(r => r.status === status).length;
+                                return n > 0 && <span key={status} style={{ color: STATUS_COLORS[status], marginRight: '0.8rem' }}>{n} {status}</span>;
+                            })}
+                        </strong>
+                        <button onClick={downloadResults} style={{ ...smallButton, background: '#334155' }}>⬇ Download results</button>
+                    </div>
+                    <div style={{ maxHeight: '40vh', overflowY: 'auto', marginTop: '0.5rem' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left', fontSize: '0.85em' }}>
+                            <tbody>
+                                {results.map(r => (
+                                    <tr key={r.line}>
+                                        <td style={{ ...cell, color: '#64748b' }}>{r.line}</td>
+                                        <td style={cell}>{r.username}</td>
+                                        <td style={{ ...cell, color: STATUS_COLORS[r.status] }}>{r.status}</td>
+                                        <td style={cell}>{r.message}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
+                <button type="button" disabled={running} onClick={() => onClose(!!results)} style={{ background: '#475569' }}>
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -1,98 +1,282 @@
-import { useState, useEffect } from 'react';
-import KeycloakAdminService from '../services/keycloakAdmin';
+import { useState, useEffect, useRef } from 'react';
+import ErrorBanner from './ErrorBanner';
+import UserSearchBar from './UserSearchBar';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useAdminService from '../hooks/useAdminService';
+import { hasActiveFilters, userFiltersFromQuery, writeUserFiltersToQuery } from '../services/userFilters';
+import Link from './Link';
+import RoleBadge from './RoleBadge';
+import { buildRoleMemberIndex, rolesOfUser, updateUserInIndex, ROLE_INDEX_STALE_MS } from '../services/roleMembers';
+import { attributesToRows, rowsToAttributes, diffUserProfile, DEFAULT_ACTION_EMAIL_OPTIONS } from '../services/userProfile';
+import AttributeEditor from './AttributeEditor';
+import BulkActionsBar from './BulkActionsBar';
+import StepProgress from './StepProgress';
+import ClientRolePicker from './ClientRolePicker';
+import EffectiveRoles from './EffectiveRoles';
+import UserGroupsEditor from './UserGroupsEditor';
+import UserSessions from './UserSessions';
+import LockoutBadge, { LockoutLink } from './LockoutBadge';
+import RequiredActionsPicker from './RequiredActionsPicker';
+import PasswordInput from './PasswordInput';
+import UserCredentials from './UserCredentials';
+import UserImport from './UserImport';
+import UserExportControls from './UserExportControls';
+import ActionEmailPanel, { ActionEmailOptions } from './ActionEmailPanel';
+import { diffRoleSelection } from '../services/roleMappings';
+import StepTransaction from '../services/stepTransaction';
 
-export default function UserManager({ keycloak }) {
+export default function UserManager({ keycloak, permissions, managedRoles }) {
     const [users, setUsers] = useState([]);
     const [availableRoles, setAvailableRoles] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [errorContext, setErrorContext] = useState(null);
 
     // Modal State
     const [showModal, setShowModal] = useState(false);
     const [modalMode, setModalMode] = useState('create'); // 'create' or 'edit'
     const [editingUser, setEditingUser] = useState(null);
 
+    // "Effective roles" inspector
+    const [inspectingUser, setInspectingUser] = useState(null);
+
+    // CSV/JSON import dialog
+    const [showImport, setShowImport] = useState(false);
+
+    // Create flow runs as a StepTransaction; a failed step keeps the modal open with Retry / Roll back
+    const createTxRef = useRef(null);
+    // The page load in flight; a newer one (page flip, new search) aborts it
+    const pageLoadRef = useRef(null);
+    // Role -> members index behind the rows on screen, patched by refreshUser
+    const roleIndexRef = useRef(new Map());
+    const [createSteps, setCreateSteps] = useState(null);
+    const failedCreateStep = createSteps?.find(step => step.status === 'failed') || null;
+    // The create step itself failed: usually nothing exists yet, unless only the ID lookup failed
+    const createRejected = failedCreateStep?.key === 'create' && !failedCreateStep.error?.userCreated;
+    const createOrphaned = failedCreateStep?.key === 'create' && !!failedCreateStep.error?.userCreated;
+
     // Pagination
-    const [page, setPage] = useState(0);
+    const [page, setPage] = useState(() => Math.max(0, (parseInt(new URLSearchParams(window.location.search).get('page'), 10) || 1) - 1));
     const [pageSize] = useState(5); // Small page size for demo
-    const [totalUsers, setTotalUsers] = useState(0);
+    const [totalUsers, setTotalUsers] = useState(0); // null when Keycloak can't count the current filters
+
+    // Search: `filters` follows the inputs, `appliedFilters` is what the table shows
+    // Both start from the URL so a search can be bookmarked or pasted into a ticket
+    const [filters, setFilters] = useState(() => userFiltersFromQuery(window.location.search));
+    const debouncedFilters = useDebouncedValue(filters, 400);
+    const [appliedFilters, setAppliedFilters] = useState(debouncedFilters);
+
+    // Bulk selection: explicit rows (kept across pages) or "everything matching the search"
+    const [selectedUsers, setSelectedUsers] = useState({}); // id -> { id, username }
+    const [allMatching, setAllMatching] = useState(false);
+
+    if (appliedFilters !== debouncedFilters) {
+        // New search -> back to the first page, and the old selection no longer applies
+        setAppliedFilters(debouncedFilters);
+        setPage(0);
+        setSelectedUsers({});
+        setAllMatching(false);
+    }
 
     // Form Data
-    const [formData, setFormData] = useState({
+    const emptyForm = {
         username: '',
         email: '',
+        firstName: '',
+        lastName: '',
+        enabled: true,
+        emailVerified: true,
+        attributeRows: [], // [{ key, value }], see AttributeEditor
         password: '',
+        temporaryPassword: true, // user must choose their own password at first login
+        invite: false, // create only: no password, email an UPDATE_PASSWORD link instead
+        inviteOptions: DEFAULT_ACTION_EMAIL_OPTIONS,
+        requiredActions: [],
         selectedRoles: {} // Map of roleName -> boolean
-    });
+    };
+    const [formData, setFormData] = useState(emptyForm);
+    // Client role selection per client, see ClientRolePicker
+    const [clientRoleSelection, setClientRoleSelection] = useState({});
+    // Group memberships: as loaded, and as edited in UserGroupsEditor
+    const [originalGroups, setOriginalGroups] = useState([]);
+    const [selectedGroups, setSelectedGroups] = useState([]);
 
-    const adminService = new KeycloakAdminService(keycloak);
+    const { adminService, queries } = useAdminService();
+
+    // view-users without manage-users: browse and export only
+    const canManage = permissions.can('manageUsers');
+    const manageReason = permissions.reason('manageUsers');
+
+    useEffect(() => {
+        const params = writeUserFiltersToQuery(appliedFilters, new URLSearchParams(window.location.search));
+        if (page > 0) params.set('page', page + 1);
+        else params.delete('page');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }, [appliedFilters, page]);
 
     // Initial Data Load
     useEffect(() => {
         loadAllData();
-    }, [page]); // Reload when page changes
+    }, [page, appliedFilters]); // Reload when page or search changes
+
+    useEffect(() => () => pageLoadRef.current?.abort(), []);
+
+    // After changes the cached counts and role members can't be trusted
+    const invalidateListCache = () => {
+        queries.invalidate(['users']);
+        queries.invalidate(['roles', 'members']);
+        queries.invalidate(['roles', 'holders']);
+    };
 
     const loadAllData = async () => {
+        pageLoadRef.current?.abort();
+        const controller = new AbortController();
+        pageLoadRef.current = controller;
         setLoading(true);
         setError(null);
+        setErrorContext(null);
         try {
-            await Promise.all([loadRoles(), loadUsers()]);
+            const rolesReady = loadRoles(controller.signal);
+            await Promise.all([rolesReady, loadUsers(controller.signal, rolesReady)]);
         } catch (err) {
+            // Superseded by a newer load, which owns the table now
+            if (err.name === 'AbortError') return;
             console.error(err);
-            setError(err.message);
+            setError(err);
         } finally {
-            setLoading(false);
+            if (pageLoadRef.current === controller) setLoading(false);
         }
     };
 
-    const loadRoles = async () => {
-        const roles = await adminService.getRealmRoles();
-        // Filter roles: only admin, doctor, doctoradmin
-        const allowedRoles = ['admin', 'doctor', 'doctoradmin'];
-        const filtered = roles.filter(r => allowedRoles.includes(r.name));
-        setAvailableRoles(filtered.sort((a, b) => a.name.localeCompare(b.name)));
+    const reloadFresh = () => {
+        invalidateListCache();
+        return loadAllData();
     };
 
-    const loadUsers = async () => {
+    // Read `key` through the shared cache, cancelled together with the page load (`signal`)
+    const fetchCached = (key, fetcher, signal, options) =>
+        queries.fetch(key, s => fetcher(adminService.withSignal(s)), { ...options, signal });
+
+    const loadRoles = async (signal) => {
+        const roles = await fetchCached(['roles', 'list'], svc => svc.getRealmRoles(), signal);
+        // Only the roles this deployment lets the dashboard assign (see runtimeConfig managedRoles)
+        const filtered = roles.filter(r => managedRoles.some(m => m.name === r.name));
+        const sorted = filtered.sort((a, b) => a.name.localeCompare(b.name));
+        setAvailableRoles(sorted);
+        return sorted;
+    };
+
+    /**
+     * Users page + count (cached per search) + role index (cached), fetched in parallel,
+     * so a page costs the same few requests whatever its size.
+     * `rolesReady` resolves to the managed roles the index is built for.
+     */
+    const loadUsers = async (signal, rolesReady) => {
         const first = page * pageSize;
-        const [data, count] = await Promise.all([
-            adminService.getUsers(first, pageSize),
-            adminService.getUsersCount() // Note: this might be heavy if called every time, but fine for now
+        const [data, count, roleIndex] = await Promise.all([
+            // Lockout state changes on its own, so the page itself is always fetched
+            fetchCached(['users', 'page', appliedFilters, first, pageSize],
+                svc => svc.getUsersWithBruteForceStatus(first, pageSize, appliedFilters), signal, { force: true }),
+            fetchCached(['users', 'count', appliedFilters], svc => svc.getUsersCount(appliedFilters), signal),
+            rolesReady.then(roles => {
+                const names = roles.map(r => r.name);
+                return fetchCached(['roles', 'members', names], svc => buildRoleMemberIndex(svc, names), signal,
+                    { staleMs: ROLE_INDEX_STALE_MS });
+            })
         ]);
+        // Never show a page that a newer load has replaced
+        signal.throwIfAborted();
+        roleIndexRef.current = roleIndex;
 
         setTotalUsers(count);
+        setUsers(data.map(user => toRow(user, roleIndex, user.bruteForceStatus)));
+    };
 
-        // Fetch roles for each user (Effective roles)
-        // Warning: Performance impact on large lists
-        const enrichedUsers = await Promise.all(data.map(async (user) => {
-            try {
-                const userRoles = await adminService.getUserRealmRoles(user.id);
-                // Filter roles to exclude standard default ones if we want to reduce noise
-                // e.g. 'default-roles-myrealm', 'offline_access', 'uma_authorization'
-                const meaningfulRoles = userRoles
-                    .map(r => r.name)
-                    .filter(n => !['offline_access', 'uma_authorization', 'default-roles-' + keycloak.realm].includes(n));
-
-                return { ...user, realmRoles: meaningfulRoles };
-            } catch (e) {
-                console.warn(`Failed to fetch roles for user ${user.username}`, e);
-                return { ...user, realmRoles: [] };
-            }
-        }));
+    // Table row data: the user plus its managed realm roles and brute-force lockout status
+    // (undefined when the server can't list it with the page: it is then read on demand)
+    const toRow = (user, roleIndex, bruteForce) => ({
+        ...user,
+        realmRoles: rolesOfUser(roleIndex, user.id),
+        bruteForce
+    });
+
+    const loadBruteForceStatus = (user) => adminService.getBruteForceStatus(user.id).catch(e => {
+        console.warn(`Failed to fetch lockout status for user ${user.username}`, e);
+        return null;
+    });
 
-        setUsers(enrichedUsers);
+    /**
+     * Re-read one user from the server and patch its table row (and the role index),
+     * so the table shows what Keycloak actually stored.
+     */
+    const refreshUser = async (userId) => {
+        const [user, roles] = await Promise.all([adminService.getUser(userId), adminService.getUserRealmRoles(userId)]);
+        const bruteForce = await loadBruteForceStatus(user);
+        // The index is shared with the query cache; keep it in step with the server
+        const roleIndex = roleIndexRef.current;
+        updateUserInIndex(roleIndex, userId, roles.map(r => r.name));
+        setUsers(prev => prev.map(u => (u.id === userId ? toRow(user, roleIndex, bruteForce) : u)));
+    };
+
+    const unlockUser = async (user) => {
+        setError(null);
+        setErrorContext(null);
+        try {
+            await adminService.clearBruteForceForUser(user.id);
+            await refreshUser(user.id);
+        } catch (err) {
+            setError(err);
+            setErrorContext(`Failed to unlock ${user.username}`);
+        }
+    };
+
+    const unlockAllUsers = async () => {
+        if (!window.confirm('Clear login failures for every user in the realm? All locked accounts will be unlocked.')) return;
+        setError(null);
+        setErrorContext(null);
+        try {
+            await adminService.clearAllBruteForce();
+            await reloadFresh();
+        } catch (err) {
+            setError(err);
+            setErrorContext('Failed to unlock users');
+        }
     };
 
     const openCreateModal = () => {
         setModalMode('create');
-        setFormData({ username: '', email: '', password: '', selectedRoles: {} });
+        setFormData(emptyForm);
         setEditingUser(null);
+        createTxRef.current = null;
+        setCreateSteps(null);
         setShowModal(true);
     }
 
-    const openEditModal = (user) => {
+    const openEditModal = async (listedUser) => {
+        setError(null);
+        setErrorContext(null);
+
+        // The list row may be stale; edit the server's current representation
+        let user;
+        let groups;
+        try {
+            [user, groups] = await Promise.all([
+                adminService.getUser(listedUser.id),
+                adminService.getUserGroups(listedUser.id)
+            ]);
+            user = { ...user, realmRoles: listedUser.realmRoles };
+        } catch (err) {
+            setError(err);
+            setErrorContext(`Failed to load user ${listedUser.username}`);
+            return;
+        }
+
         setModalMode('edit');
         setEditingUser(user);
+        setClientRoleSelection({});
+        setOriginalGroups(groups);
+        setSelectedGroups(groups);
 
         // Pre-select current roles
         const roleMap = {};
@@ -101,7 +285,16 @@ export default function UserManager({ keycloak }) {
         setFormData({
             username: user.username,
             email: user.email || '',
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            enabled: !!user.enabled,
+            emailVerified: !!user.emailVerified,
+            attributeRows: attributesToRows(user.attributes),
             password: '', // Blank implies no change
+            temporaryPassword: true,
+            invite: false,
+            inviteOptions: DEFAULT_ACTION_EMAIL_OPTIONS,
+            requiredActions: user.requiredActions || [],
             selectedRoles: roleMap
         });
         setShowModal(true);
@@ -111,64 +304,162 @@ export default function UserManager({ keycloak }) {
         e.preventDefault();
         setLoading(true);
         setError(null);
+        setErrorContext(null);
 
         try {
             if (modalMode === 'create') {
-                await performCreate();
+                // Step failures are shown inside the modal, not as a global error
+                if (await performCreate()) {
+                    await finishCreate();
+                }
             } else {
                 await performUpdate();
+                invalidateListCache();
+                setShowModal(false);
+                await refreshUser(editingUser.id);
             }
 
-            setShowModal(false);
-            await loadUsers(); // Refresh list to show changes
-
         } catch (err) {
-            setError(`Failed to ${modalMode} user: ` + err.message);
+            setError(err);
+            setErrorContext(`Failed to ${modalMode} user`);
         } finally {
             setLoading(false);
         }
     };
 
     const performCreate = async () => {
-        // 1. Create User
         const newUserData = {
             username: formData.username,
             email: formData.email,
-            enabled: true,
-            emailVerified: true
+            firstName: formData.firstName,
+            lastName: formData.lastName,
+            enabled: formData.enabled,
+            emailVerified: formData.emailVerified,
+            attributes: rowsToAttributes(formData.attributeRows),
+            requiredActions: formData.requiredActions
         };
+        const rolesToAdd = Object.keys(formData.selectedRoles).filter(r => formData.selectedRoles[r]);
+        const roleObjects = availableRoles.filter(r => rolesToAdd.includes(r.name));
+        const { invite, inviteOptions, temporaryPassword } = formData;
+        const password = invite ? '' : formData.password;
+        // The invitation link always lets the user set a password, plus whatever else is required
+        const inviteActions = [...new Set(['UPDATE_PASSWORD', ...formData.requiredActions])];
 
-        await adminService.createUser(newUserData);
+        const tx = new StepTransaction([
+            {
+                key: 'create',
+                label: `Create user ${newUserData.username}`,
+                // The ID comes from the Location header, no list lookup needed
+                run: async (ctx) => { ctx.userId = await adminService.createUser(newUserData); },
+                rollback: (ctx) => adminService.deleteUser(ctx.userId)
+            },
+            {
+                key: 'password',
+                label: 'Set password',
+                skip: !password,
+                run: (ctx) => adminService.resetPassword(ctx.userId, password, { temporary: temporaryPassword })
+            },
+            {
+                key: 'roles',
+                label: `Assign roles${roleObjects.length ? ` (${roleObjects.map(r => r.name).join(', ')})` : ''}`,
+                skip: roleObjects.length === 0,
+                run: (ctx) => adminService.addRealmRoleMappings(ctx.userId, roleObjects)
+            },
+            {
+                key: 'invite',
+                label: `Send invitation email to ${newUserData.email}`,
+                skip: !invite,
+                run: (ctx) => adminService.executeActionsEmail(ctx.userId, inviteActions, {
+                    lifespan: inviteOptions.lifespan,
+                    clientId: inviteOptions.clientId.trim(),
+                    redirectUri: inviteOptions.redirectUri.trim()
+                })
+            }
+        ], setCreateSteps);
 
-        // 2. Find new user ID
-        const usersList = await adminService.getUsers();
-        const createdUser = usersList.find(u => u.username === formData.username);
-        if (!createdUser) throw new Error("User created but not found.");
+        createTxRef.current = tx;
+        setCreateSteps(tx.steps);
+        return tx.run();
+    };
 
-        // 3. Set Password
-        if (formData.password) {
-            await adminService.resetPassword(createdUser.id, formData.password);
+    const finishCreate = async () => {
+        const username = formData.username;
+        createTxRef.current = null;
+        setCreateSteps(null);
+        setShowModal(false);
+        await reloadFresh(); // Refresh list (and count) to show the new user
+        alert(`User ${username} created successfully!`);
+    };
+
+    const retryCreate = async () => {
+        setLoading(true);
+        try {
+            if (await createTxRef.current.retry()) {
+                await finishCreate();
+            }
+        } finally {
+            setLoading(false);
         }
+    };
 
-        // 4. Assign Roles
-        const rolesToAdd = Object.keys(formData.selectedRoles).filter(r => formData.selectedRoles[r]);
-        if (rolesToAdd.length > 0) {
-            const roleObjects = availableRoles.filter(r => rolesToAdd.includes(r.name));
-            await adminService.addRealmRoleMappings(createdUser.id, roleObjects);
+    const rollbackCreate = async () => {
+        setLoading(true);
+        try {
+            await createTxRef.current.rollback();
+            // Nothing left on the server; the next submit starts a fresh transaction
+            createTxRef.current = null;
+        } catch (err) {
+            console.error('Rollback failed', err);
+        } finally {
+            setLoading(false);
         }
+    };
 
-        alert(`User ${formData.username} created successfully!`);
+    const discardCreate = () => {
+        createTxRef.current = null;
+        setCreateSteps(null);
+        setShowModal(false);
+    };
+
+    const keepPartialUser = async () => {
+        createTxRef.current = null;
+        setCreateSteps(null);
+        setShowModal(false);
+        await reloadFresh();
     };
 
     const performUpdate = async () => {
         if (!editingUser) return;
 
-        // 1. Update Password if provided
+        // 1. Update profile fields (only what changed)
+        const changes = diffUserProfile(editingUser, {
+            email: formData.email,
+            firstName: formData.firstName,
+            lastName: formData.lastName,
+            enabled: formData.enabled,
+            emailVerified: formData.emailVerified,
+            attributes: rowsToAttributes(formData.attributeRows),
+            requiredActions: formData.requiredActions
+        });
+        if (Object.keys(changes).length > 0) {
+            await adminService.updateUser(editingUser.id, changes);
+        }
+
+        // Disabling blocks new logins but leaves existing sessions alive
+        if (changes.enabled === false) {
+            const sessions = await adminService.getUserSessions(editingUser.id);
+            if (sessions.length > 0 &&
+                window.confirm(`${editingUser.username} has ${sessions.length} active session(s). End them now?`)) {
+                await adminService.logoutUser(editingUser.id);
+            }
+        }
+
+        // 2. Update Password if provided
         if (formData.password) {
-            await adminService.resetPassword(editingUser.id, formData.password);
+            await adminService.resetPassword(editingUser.id, formData.password, { temporary: formData.temporaryPassword });
         }
 
-        // 2. Calculate Role Diff
+        // 3. Calculate Role Diff
         const currentRoleNames = editingUser.realmRoles || [];
         const newSelectedParams = Object.keys(formData.selectedRoles).filter(r => formData.selectedRoles[r]);
 
@@ -194,6 +485,27 @@ export default function UserManager({ keycloak }) {
             }
         }
 
+        // 4. Client roles, for every client opened in the picker
+        for (const { client, assigned, available, selected } of Object.values(clientRoleSelection)) {
+            const { toAdd, toRemove } = diffRoleSelection(assigned, available, selected);
+            if (toAdd.length > 0) {
+                await adminService.addClientRoleMappings(editingUser.id, client.id, toAdd);
+            }
+            if (toRemove.length > 0) {
+                await adminService.removeClientRoleMappings(editingUser.id, client.id, toRemove);
+            }
+        }
+
+        // 5. Group memberships
+        const selectedGroupIds = selectedGroups.map(g => g.id);
+        const originalGroupIds = originalGroups.map(g => g.id);
+        for (const groupId of selectedGroupIds.filter(id => !originalGroupIds.includes(id))) {
+            await adminService.addUserToGroup(editingUser.id, groupId);
+        }
+        for (const groupId of originalGroupIds.filter(id => !selectedGroupIds.includes(id))) {
+            await adminService.removeUserFromGroup(editingUser.id, groupId);
+        }
+
         alert(`User ${formData.username} updated!`);
     };
 
@@ -207,26 +519,93 @@ export default function UserManager({ keycloak }) {
         }));
     };
 
+    const clearSelection = () => {
+        setSelectedUsers({});
+        setAllMatching(false);
+    };
+
+    const toggleSelected = (user) => {
+        setAllMatching(false);
+        setSelectedUsers(prev => {
+            const next = { ...prev };
+            if (next[user.id]) delete next[user.id];
+            else next[user.id] = { id: user.id, username: user.username };
+            return next;
+        });
+    };
+
+    const pageFullySelected = users.length > 0 && users.every(u => selectedUsers[u.id]);
+
+    const togglePageSelected = () => {
+        if (allMatching) {
+            clearSelection();
+            return;
+        }
+        setSelectedUsers(prev => {
+            const next = { ...prev };
+            users.forEach(u => {
+                if (pageFullySelected) delete next[u.id];
+                else next[u.id] = { id: u.id, username: u.username };
+            });
+            return next;
+        });
+    };
+
+    // Without a count (idpAlias / exact searches), a short page means we reached the end
+    const isLastPage = totalUsers !== null
+        ? (page + 1) * pageSize >= totalUsers
+        : users.length < pageSize;
+
     return (
         <div style={{ marginTop: '2rem' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
                 <h2>User Management</h2>
                 <div style={{ display: 'flex', gap: '1rem' }}>
-                    <button onClick={loadAllData} style={{ backgroundColor: '#3b82f6' }}>
+                    <button onClick={reloadFresh} style={{ backgroundColor: '#3b82f6' }}>
                         ↻ Refresh
                     </button>
-                    <button onClick={openCreateModal} style={{ backgroundColor: '#10b981' }}>
+                    <button onClick={unlockAllUsers} disabled={!canManage} title={manageReason || "Clear brute-force lockouts for all users"} style={{ backgroundColor: '#f59e0b' }}>
+                        🔓 Unlock All
+                    </button>
+                    <button onClick={() => setShowImport(true)} disabled={!canManage} title={manageReason || undefined} style={{ backgroundColor: '#475569' }}>
+                        ⇪ Import
+                    </button>
+                    <button onClick={openCreateModal} disabled={!canManage} title={manageReason || undefined} style={{ backgroundColor: '#10b981' }}>
                         + Add New User
                     </button>
                 </div>
             </div>
 
-            {error && (
-                <div style={{ background: '#7f1d1d', color: '#fca5a5', padding: '1rem', borderRadius: '6px', marginBottom: '1rem' }}>
-                    <strong>Error:</strong> {error}
-                </div>
+            <UserSearchBar filters={filters} onChange={setFilters} />
+
+            <UserExportControls
+                adminService={adminService}
+                filters={appliedFilters}
+                availableRoles={availableRoles}
+                matchingCount={totalUsers}
+                realm={adminService.realm}
+            />
+
+            {canManage ? (
+                <BulkActionsBar
+                    adminService={adminService}
+                    availableRoles={availableRoles}
+                    selectedUsers={Object.values(selectedUsers)}
+                    allMatching={allMatching}
+                    filters={appliedFilters}
+                    matchingCount={totalUsers}
+                    currentUserId={keycloak.subject}
+                    onClearSelection={clearSelection}
+                    onFinished={() => { clearSelection(); reloadFresh(); }}
+                />
+            ) : (
+                <p style={{ fontSize: '0.85em', color: '#94a3b8', marginBottom: '1rem' }}>
+                    🔒 Read-only access: editing, importing and bulk actions are disabled. {manageReason}
+                </p>
             )}
 
+            <ErrorBanner error={error} keycloak={keycloak} context={errorContext} />
+
             {loading && <p>Loading data...</p>}
 
             {!loading && (
@@ -234,6 +613,15 @@ export default function UserManager({ keycloak }) {
                     <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
                         <thead style={{ background: '#1e293b' }}>
                             <tr>
+                                <th style={{ padding: '1rem', borderBottom: '1px solid #334155', width: '1%' }}>
+                                    <input
+                                        type="checkbox"
+                                        title="Select all on this page"
+                                        checked={pageFullySelected || allMatching}
+                                        onChange={togglePageSelected}
+                                        style={{ width: 'auto', marginBottom: 0 }}
+                                    />
+                                </th>
                                 <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Username</th>
                                 <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Email</th>
                                 <th style={{ padding: '1rem', borderBottom: '1px solid #334155' }}>Roles</th>
@@ -241,41 +629,78 @@ export default function UserManager({ keycloak }) {
                             </tr>
                         </thead>
                         <tbody>
+                            {pageFullySelected && !allMatching && !(page === 0 && isLastPage) && (
+                                <tr>
+                                    <td colSpan="5" style={{ padding: '0.6rem 1rem', textAlign: 'center', fontSize: '0.85em', background: '#0f172a' }}>
+                                        All {users.length} users on this page are selected.{' '}
+                                        <a href="#" onClick={e => { e.preventDefault(); setAllMatching(true); }}>
+                                            Select all {totalUsers ?? ''} users matching this search
+                                        </a>
+                                    </td>
+                                </tr>
+                            )}
+                            {allMatching && (
+                                <tr>
+                                    <td colSpan="5" style={{ padding: '0.6rem 1rem', textAlign: 'center', fontSize: '0.85em', background: '#0f172a' }}>
+                                        All {totalUsers ?? ''} users matching this search are selected.{' '}
+                                        <a href="#" onClick={e => { e.preventDefault(); clearSelection(); }}>Clear selection</a>
+                                    </td>
+                                </tr>
+                            )}
                             {users.map(user => (
-                                <tr key={user.id} style={{ borderBottom: '1px solid #334155' }}>
+                                <tr key={user.id} style={{ borderBottom: '1px solid #334155', background: selectedUsers[user.id] || allMatching ? '#1e3a5f' : undefined }}>
                                     <td style={{ padding: '1rem' }}>
-                                        <div style={{ fontWeight: 'bold' }}>{user.username}</div>
+                                        <input
+                                            type="checkbox"
+                                            checked={!!selectedUsers[user.id] || allMatching}
+                                            onChange={() => toggleSelected(user)}
+                                            style={{ width: 'auto', marginBottom: 0 }}
+                                        />
+                                    </td>
+                                    <td style={{ padding: '1rem' }}>
+                                        <div style={{ fontWeight: 'bold' }}>
+                                            <Link to={`/users/${encodeURIComponent(user.id)}`} title="Open user page">{user.username}</Link>
+                                        </div>
                                         <div style={{ fontSize: '0.8em', color: user.enabled ? '#34d399' : '#f87171' }}>
                                             {user.enabled ? 'Active' : 'Disabled'}
                                         </div>
+                                        {user.bruteForce === undefined
+                                            ? <LockoutLink adminService={adminService} userId={user.id} canUnlock={canManage} />
+                                            : <LockoutBadge status={user.bruteForce} onUnlock={canManage ? () => unlockUser(user) : null} />}
                                     </td>
                                     <td style={{ padding: '1rem' }}>{user.email || '-'}</td>
                                     <td style={{ padding: '1rem' }}>
                                         <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
                                             {user.realmRoles && user.realmRoles.length > 0 ? user.realmRoles.map(role => (
-                                                <span key={role} style={{
-                                                    background: role === 'admin' ? '#7c3aed' : (role === 'doctor' ? '#0ea5e9' : '#475569'),
-                                                    padding: '2px 8px', borderRadius: '12px', fontSize: '0.75em'
-                                                }}>
-                                                    {role}
-                                                </span>
+                                                <RoleBadge key={role} name={role} managedRoles={managedRoles} />
                                             )) : <span style={{ color: '#64748b', fontSize: '0.8em' }}>No Roles</span>}
                                         </div>
                                     </td>
                                     <td style={{ padding: '1rem' }}>
-                                        <button
-                                            onClick={() => openEditModal(user)}
-                                            style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' }}
-                                        >
-                                            Edit
-                                        </button>
+                                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                            <button
+                                                onClick={() => openEditModal(user)}
+                                                disabled={!canManage}
+                                                title={manageReason || undefined}
+                                                style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' }}
+                                            >
+                                                Edit
+                                            </button>
+                                            <button
+                                                onClick={() => setInspectingUser(user)}
+                                                title="Show effective roles and where they come from"
+                                                style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' }}
+                                            >
+                                                Effective Roles
+                                            </button>
+                                        </div>
                                     </td>
                                 </tr>
                             ))}
                             {users.length === 0 && (
                                 <tr>
-                                    <td colSpan="4" style={{ padding: '2rem', textAlign: 'center', color: '#94a3b8' }}>
-                                        No users found.
+                                    <td colSpan="5" style={{ padding: '2rem', textAlign: 'center', color: '#94a3b8' }}>
+                                        {!hasActiveFilters(appliedFilters) ? 'No users found.' : 'No users match your search.'}
                                     </td>
                                 </tr>
                             )}
@@ -284,7 +709,10 @@ export default function UserManager({ keycloak }) {
                     {/* Pagination Controls */}
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '1rem', background: '#1e293b', borderTop: '1px solid #334155' }}>
                         <span style={{ fontSize: '0.9em', color: '#94a3b8' }}>
-                            Showing {page * pageSize + 1} - {Math.min((page + 1) * pageSize, totalUsers)} of {totalUsers}
+                            {users.length === 0
+                                ? 'Showing 0'
+                                : `Showing ${page * pageSize + 1} - ${page * pageSize + users.length}${totalUsers !== null ? ` of ${totalUsers}` : ''}`}
+                            {hasActiveFilters(appliedFilters) && ' matching'}
                         </span>
                         <div style={{ display: 'flex', gap: '0.5rem' }}>
                             <button
@@ -295,9 +723,9 @@ export default function UserManager({ keycloak }) {
                                 Previous
                             </button>
                             <button
-                                disabled={(page + 1) * pageSize >= totalUsers}
+                                disabled={isLastPage}
                                 onClick={() => setPage(p => p + 1)}
-                                style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: (page + 1) * pageSize >= totalUsers ? '#334155' : '#475569', cursor: (page + 1) * pageSize >= totalUsers ? 'not-allowed' : 'pointer' }}
+                                style={{ padding: '0.3rem 0.8rem', fontSize: '0.85em', background: isLastPage ? '#334155' : '#475569', cursor: isLastPage ? 'not-allowed' : 'pointer' }}
                             >
                                 Next
                             </button>
@@ -330,22 +758,125 @@ export default function UserManager({ keycloak }) {
                                 <label>Email</label>
                                 <input
                                     type="email"
+                                    required={formData.invite}
                                     value={formData.email}
                                     onChange={e => setFormData({ ...formData, email: e.target.value })}
                                 />
                             </div>
+                            <div style={{ display: 'flex', gap: '1rem' }}>
+                                <div className="field-group" style={{ flex: 1 }}>
+                                    <label>First Name</label>
+                                    <input
+                                        value={formData.firstName}
+                                        onChange={e => setFormData({ ...formData, firstName: e.target.value })}
+                                    />
+                                </div>
+                                <div className="field-group" style={{ flex: 1 }}>
+                                    <label>Last Name</label>
+                                    <input
+                                        value={formData.lastName}
+                                        onChange={e => setFormData({ ...formData, lastName: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+                            <div className="field-group" style={{ display: 'flex', gap: '1.5rem' }}>
+                                <div style={{ display: 'flex', alignItems: 'center' }}>
+                                    <input
+                                        type="checkbox"
+                                        id="user-enabled"
+                                        checked={formData.enabled}
+                                        onChange={e => setFormData({ ...formData, enabled: e.target.checked })}
+                                        style={{ width: 'auto', marginRight: '0.5rem', marginBottom: 0 }}
+                                    />
+                                    <label htmlFor="user-enabled" style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>Enabled</label>
+                                </div>
+                                <div style={{ display: 'flex', alignItems: 'center' }}>
+                                    <input
+                                        type="checkbox"
+                                        id="user-email-verified"
+                                        checked={formData.emailVerified}
+                                        onChange={e => setFormData({ ...formData, emailVerified: e.target.checked })}
+                                        style={{ width: 'auto', marginRight: '0.5rem', marginBottom: 0 }}
+                                    />
+                                    <label htmlFor="user-email-verified" style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>Email Verified</label>
+                                </div>
+                            </div>
                             <div className="field-group">
-                                <label>
-                                    {modalMode === 'edit' ? 'Reset Password (Login to change)' : 'Password'}
-                                </label>
-                                <input
-                                    type="password"
-                                    required={modalMode === 'create'}
-                                    placeholder={modalMode === 'edit' ? 'Leave blank to keep current' : ''}
-                                    value={formData.password}
-                                    onChange={e => setFormData({ ...formData, password: e.target.value })}
+                                <label style={{ marginBottom: '0.8rem', display: 'block' }}>Attributes</label>
+                                <AttributeEditor
+                                    rows={formData.attributeRows}
+                                    onChange={rows => setFormData({ ...formData, attributeRows: rows })}
+                                />
+                            </div>
+                            {modalMode === 'create' && (
+                                <div className="field-group" style={{ display: 'flex', alignItems: 'center' }}>
+                                    <input
+                                        type="checkbox"
+                                        id="user-invite"
+                                        checked={formData.invite}
+                                        onChange={e => setFormData({ ...formData, invite: e.target.checked })}
+                                        style={{ width: 'auto', marginRight: '0.5rem', marginBottom: 0 }}
+                                    />
+                                    <label htmlFor="user-invite" style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>
+                                        Invite by email (the user sets their own password)
+                                    </label>
+                                </div>
+                            )}
+                            {formData.invite ? (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Invitation</label>
+                                    <ActionEmailOptions
+                                        value={formData.inviteOptions}
+                                        onChange={inviteOptions => setFormData({ ...formData, inviteOptions })}
+                                    />
+                                </div>
+                            ) : (
+                                <div className="field-group">
+                                    <label>
+                                        {modalMode === 'edit' ? 'Reset Password (Login to change)' : 'Password'}
+                                    </label>
+                                    <PasswordInput
+                                        adminService={adminService}
+                                        required={modalMode === 'create'}
+                                        placeholder={modalMode === 'edit' ? 'Leave blank to keep current' : ''}
+                                        value={formData.password}
+                                        onChange={password => setFormData({ ...formData, password })}
+                                        username={formData.username}
+                                        email={formData.email}
+                                    />
+                                    <div style={{ display: 'flex', alignItems: 'center', marginTop: '0.5rem' }}>
+                                        <input
+                                            type="checkbox"
+                                            id="user-temporary-password"
+                                            checked={formData.temporaryPassword}
+                                            onChange={e => setFormData({ ...formData, temporaryPassword: e.target.checked })}
+                                            style={{ width: 'auto', marginRight: '0.5rem', marginBottom: 0 }}
+                                        />
+                                        <label htmlFor="user-temporary-password" style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>
+                                            Temporary (must be changed at next login)
+                                        </label>
+                                    </div>
+                                </div>
+                            )}
+                            <div className="field-group">
+                                <label style={{ marginBottom: '0.8rem', display: 'block' }}>Required Actions</label>
+                                <RequiredActionsPicker
+                                    value={formData.requiredActions}
+                                    onChange={requiredActions => setFormData({ ...formData, requiredActions })}
                                 />
                             </div>
+                            {modalMode === 'edit' && (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Credentials</label>
+                                    <UserCredentials key={editingUser.id} adminService={adminService} userId={editingUser.id} />
+                                </div>
+                            )}
+                            {modalMode === 'edit' && (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Send Action Email</label>
+                                    <ActionEmailPanel key={editingUser.id} adminService={adminService} user={editingUser} />
+                                </div>
+                            )}
 
                             <div className="field-group">
                                 <label style={{ marginBottom: '0.8rem', display: 'block' }}>Assign Roles</label>
@@ -367,38 +898,150 @@ export default function UserManager({ keycloak }) {
                                                     style={{ width: 'auto', marginRight: '0.8rem', marginBottom: 0 }}
                                                 />
                                                 <label htmlFor={`role-${role.id}`} style={{ marginBottom: 0, cursor: 'pointer', color: '#e2e8f0' }}>
-                                                    {role.name}
+                                                    {managedRoles.find(m => m.name === role.name)?.label || role.name}
                                                 </label>
                                             </div>
                                         ))}
                                 </div>
                             </div>
 
-                            <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
-                                <button type="button" onClick={() => setShowModal(false)} style={{ background: '#475569' }}>
-                                    Cancel
-                                </button>
-                                <button type="submit" style={{ background: '#2563eb' }}>
-                                    {modalMode === 'create' ? 'Create User' : 'Save Changes'}
-                                </button>
+                            <div className="field-group">
+                                <label style={{ marginBottom: '0.8rem', display: 'block' }}>Client Roles</label>
+                                {modalMode === 'edit' ? (
+                                    <ClientRolePicker
+                                        key={editingUser.id}
+                                        adminService={adminService}
+                                        loadAssigned={clientUuid => adminService.getUserClientRoles(editingUser.id, clientUuid)}
+                                        loadAvailable={clientUuid => adminService.getAvailableUserClientRoles(editingUser.id, clientUuid)}
+                                        value={clientRoleSelection}
+                                        onChange={setClientRoleSelection}
+                                    />
+                                ) : (
+                                    <div style={{ color: '#94a3b8', fontStyle: 'italic', fontSize: '0.9em' }}>
+                                        Client roles can be assigned once the user exists (Edit).
+                                    </div>
+                                )}
                             </div>
+
+                            {modalMode === 'edit' && (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Groups</label>
+                                    <UserGroupsEditor
+                                        adminService={adminService}
+                                        value={selectedGroups}
+                                        onChange={setSelectedGroups}
+                                    />
+                                </div>
+                            )}
+
+                            {modalMode === 'edit' && (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Sessions</label>
+                                    <UserSessions
+                                        key={editingUser.id}
+                                        adminService={adminService}
+                                        userId={editingUser.id}
+                                        username={editingUser.username}
+                                    />
+                                </div>
+                            )}
+
+                            {modalMode === 'create' && createSteps && (
+                                <div className="field-group">
+                                    <label style={{ marginBottom: '0.8rem', display: 'block' }}>Progress</label>
+                                    <StepProgress steps={createSteps} />
+                                </div>
+                            )}
+
+                            {createRejected ? (
+                                // No user on the server: fix the form and submit again, or give up
+                                <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
+                                    <button type="button" disabled={loading} onClick={discardCreate} style={{ background: '#475569' }}>
+                                        Cancel
+                                    </button>
+                                    <button type="submit" disabled={loading} style={{ background: '#2563eb' }}>
+                                        Retry
+                                    </button>
+                                </div>
+                            ) : createOrphaned ? (
+                                <div style={{ marginTop: '1.5rem' }}>
+                                    <p style={{ color: '#fbbf24', fontSize: '0.9em' }}>
+                                        The user exists in Keycloak, but its ID could not be read back, so it cannot be rolled back from here.
+                                        Find <strong>{formData.username}</strong> in the user list to finish or delete it.
+                                    </p>
+                                    <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                                        <button type="button" disabled={loading} onClick={keepPartialUser} style={{ background: '#475569' }}>
+                                            Close
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : failedCreateStep ? (
+                                <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem', justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+                                    <button type="button" disabled={loading} onClick={keepPartialUser} style={{ background: '#475569' }}>
+                                        Keep as is &amp; Close
+                                    </button>
+                                    <button type="button" disabled={loading} onClick={rollbackCreate} style={{ background: '#dc2626' }}>
+                                        Roll back (delete user)
+                                    </button>
+                                    <button type="button" disabled={loading} onClick={retryCreate} style={{ background: '#2563eb' }}>
+                                        Retry failed step
+                                    </button>
+                                </div>
+                            ) : (
+                                <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
+                                    <button type="button" onClick={() => setShowModal(false)} style={{ background: '#475569' }}>
+                                        Cancel
+                                    </button>
+                                    <button type="submit" disabled={loading} style={{ background: '#2563eb' }}>
+                                        {modalMode === 'create' ? 'Create User' : 'Save Changes'}
+                                    </button>
+                                </div>
+                            )}
                         </form>
                     </div>
                 </div>
             )}
 
-            {/* Debug Info Footer */}
-            <div style={{ marginTop: '2rem', padding: '1rem', borderTop: '1px solid #334155' }}>
-                <h4 style={{ margin: '0 0 0.5rem 0', color: '#94a3b8' }}>Debug: Current Permissions</h4>
-                <p style={{ fontSize: '0.85em', color: '#64748b', wordBreak: 'break-all' }}>
-                    <strong>My Roles:</strong> {keycloak.realmAccess?.roles?.join(', ') || 'None'}
-                    {!keycloak.realmAccess?.roles?.includes('realm-admin') && (
-                        <span style={{ color: '#f59e0b', marginLeft: '1rem' }}>
-                            ⚠️ Missing 'realm-admin'
-                        </span>
-                    )}
-                </p>
-            </div>
+            {/* Import Modal */}
+            {showImport && (
+                <div style={{
+                    position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+                    background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center',
+                    zIndex: 1000
+                }}>
+                    <div className="card" style={{ width: '800px', padding: '2rem', background: '#1e293b', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <h3>Import Users</h3>
+                        <UserImport
+                            adminService={adminService}
+                            realm={adminService.realm}
+                            managedRoles={managedRoles}
+                            onClose={changed => {
+                                setShowImport(false);
+                                if (changed) reloadFresh();
+                            }}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {/* Effective Roles Modal */}
+            {inspectingUser && (
+                <div style={{
+                    position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+                    background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center',
+                    zIndex: 1000
+                }}>
+                    <div className="card" style={{ width: '600px', padding: '2rem', background: '#1e293b', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <h3>Effective Roles: {inspectingUser.username}</h3>
+                        <EffectiveRoles key={inspectingUser.id} adminService={adminService} userId={inspectingUser.id} />
+                        <div style={{ display: 'flex', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
+                            <button type="button" onClick={() => setInspectingUser(null)} style={{ background: '#475569' }}>
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
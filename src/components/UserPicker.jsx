@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+/**
+ * Pick a single user through a debounced server-side search.
+ * `value` is the user id ('' for none); the username is looked up when only the id is known
+ * (e.g. when the id came from a shared URL).
+ */
+export default function UserPicker({ adminService, value, onChange, placeholder = 'Search user...' }) {
+    const [label, setLabel] = useState('');
+    const [search, setSearch] = useState('');
+    const debouncedSearch = useDebouncedValue(search, 300);
+    const [results, setResults] = useState([]);
+
+    useEffect(() => {
+        if (!value || label) return;
+        let cancelled = false;
+        adminService.getUser(value)
+            .then(u => !cancelled && setLabel(u.username))
+            .catch(() => !cancelled && setLabel(value));
+        return () => { cancelled = true; };
+    }, [adminService, value, label]);
+
+    useEffect(() => {
+        const term = debouncedSearch.trim();
+        let cancelled = false;
+        (term ? adminService.getUsers(0, 8, { search: term }) : Promise.resolve([]))
+            .then(users => !cancelled && setResults(users || []))
+            .catch(err => console.warn('User search failed', err));
+        return () => { cancelled = true; };
+    }, [adminService, debouncedSearch]);
+
+    if (value) {
+        return (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', minHeight: '2.2rem' }}>
+                <span style={{ background: '#0ea5e9', padding: '2px 8px', borderRadius: '12px', fontSize: '0.85em' }}>
+                    {label || '...'}
+                </span>
+                <span
+                    onClick={() => { setLabel(''); onChange(''); }}
+                    title="Clear"
+                    style={{ cursor: 'pointer', color: '#94a3b8' }}
+                >
+                    ✕
+                </span>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <input
+                type="search"
+                placeholder={placeholder}
+                value={search}
+                onChange={e => setSearch(e.target.value)}
+                style={{ marginBottom: 0 }}
+            />
+            {search && results.length > 0 && (
+                <div style={{
+                    position: 'absolute', top: '100%', left: 0, right: 0, zIndex: 10,
+                    background: '#1e293b', border: '1px solid #334155', borderRadius: '6px', maxHeight: '200px', overflowY: 'auto'
+                }}>
+                    {results.map(u => (
+                        <div
+                            key={u.id}
+                            onClick={() => { setLabel(u.username); setSearch(''); setResults([]); onChange(u.id); }}
+                            style={{ padding: '0.4rem 0.6rem', cursor: 'pointer' }}
+                        >
+                            {u.username} <span style={{ color: '#64748b', fontSize: '0.85em' }}>{u.email}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
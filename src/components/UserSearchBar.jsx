@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { EMPTY_USER_FILTERS, parseAttributeQuery, formatAttributeQuery, countAdvancedFilters, ignoredFieldFilters } from '../services/userFilters';
+
+const triStateValue = (v) => (v === undefined ? '' : String(v));
+const parseTriState = (v) => (v === '' ? undefined : v === 'true');
+
+/**
+ * Search/filter bar for UserManager.
+ * Controlled: `filters` is owned by the parent, which debounces it before querying.
+ * Free text and field filters are exclusive (Keycloak ignores the latter with `search`):
+ * while the search box is filled, only Status stays editable.
+ */
+export default function UserSearchBar({ filters, onChange }) {
+    const [showAdvanced, setShowAdvanced] = useState(false);
+    const [attributeText, setAttributeText] = useState(formatAttributeQuery(filters.attributes));
+
+    const update = (patch) => onChange({ ...filters, ...patch });
+
+    const activeCount = countAdvancedFilters(filters);
+    const fieldsLocked = !!filters.search.trim();
+    const ignored = ignoredFieldFilters(filters);
+
+    const inputStyle = { marginBottom: 0 };
+
+    return (
+        <div style={{ marginBottom: '1rem' }}>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <input
+                    type="search"
+                    placeholder="Search by username, email, first or last name..."
+                    value={filters.search}
+                    onChange={e => update({ search: e.target.value })}
+                    style={{ ...inputStyle, flex: 1 }}
+                />
+                <button
+                    type="button"
+                    onClick={() => setShowAdvanced(s => !s)}
+                    style={{ padding: '0.5rem 0.8rem', fontSize: '0.85em', background: '#334155', whiteSpace: 'nowrap' }}
+                >
+                    Filters{activeCount > 0 ? ` (${activeCount})` : ''} {showAdvanced ? '▲' : '▼'}
+                </button>
+                {(filters.search || activeCount > 0) && (
+                    <button
+                        type="button"
+                        onClick={() => { setAttributeText(''); onChange(EMPTY_USER_FILTERS); }}
+                        style={{ padding: '0.5rem 0.8rem', fontSize: '0.85em', background: '#475569' }}
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            {ignored.length > 0 && (
+                <p style={{ fontSize: '0.85em', color: '#fbbf24', margin: '0.5rem 0 0' }}>
+                    Free-text search is active, so {ignored.length} field filter(s) are ignored. Clear the search box to apply them.
+                </p>
+            )}
+
+            {showAdvanced && (
+                <div style={{
+                    display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '0.8rem',
+                    marginTop: '0.8rem', padding: '1rem', background: '#0f172a', borderRadius: '6px', border: '1px solid #334155'
+                }}>
+                    {fieldsLocked && (
+                        <p style={{ gridColumn: '1 / -1', fontSize: '0.85em', color: '#94a3b8', margin: 0 }}>
+                            Keycloak can't combine free-text search with field filters; only Status applies to it.
+                        </p>
+                    )}
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Username</label>
+                        <input value={filters.username} disabled={fieldsLocked} onChange={e => update({ username: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Email</label>
+                        <input value={filters.email} disabled={fieldsLocked} onChange={e => update({ email: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>First Name</label>
+                        <input value={filters.firstName} disabled={fieldsLocked} onChange={e => update({ firstName: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Last Name</label>
+                        <input value={filters.lastName} disabled={fieldsLocked} onChange={e => update({ lastName: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Status</label>
+                        <select value={triStateValue(filters.enabled)} onChange={e => update({ enabled: parseTriState(e.target.value) })}>
+                            <option value="">Any</option>
+                            <option value="true">Active</option>
+                            <option value="false">Disabled</option>
+                        </select>
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Email Verified</label>
+                        <select value={triStateValue(filters.emailVerified)} disabled={fieldsLocked} onChange={e => update({ emailVerified: parseTriState(e.target.value) })}>
+                            <option value="">Any</option>
+                            <option value="true">Verified</option>
+                            <option value="false">Not verified</option>
+                        </select>
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Identity Provider Alias</label>
+                        <input value={filters.idpAlias} disabled={fieldsLocked} placeholder="e.g. google" onChange={e => update({ idpAlias: e.target.value })} style={inputStyle} />
+                    </div>
+                    <div className="field-group" style={{ marginBottom: 0 }}>
+                        <label>Attributes (key:value)</label>
+                        <input
+                            value={attributeText}
+                            disabled={fieldsLocked}
+                            placeholder="e.g. department:cardiology"
+                            onChange={e => {
+                                setAttributeText(e.target.value);
+                                update({ attributes: parseAttributeQuery(e.target.value) });
+                            }}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <input
+                            type="checkbox"
+                            id="filter-exact"
+                            checked={filters.exact}
+                            disabled={fieldsLocked}
+                            onChange={e => update({ exact: e.target.checked })}
+                            style={{ width: 'auto', marginBottom: 0 }}
+                        />
+                        <label htmlFor="filter-exact" style={{ marginBottom: 0, cursor: 'pointer' }}>Exact match on username/email/names</label>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { loadUserSessions } from '../services/userSessions';
+import ErrorBanner from './ErrorBanner';
+
+/**
+ * Sessions panel of the user edit modal: who is logged in from where, with
+ * per-session "End" and a "Log out everywhere" action. Mount with key={userId}.
+ */
+export default function UserSessions({ adminService, userId, username }) {
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+    // Bumped after every change to reload the list
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadUserSessions(adminService, userId)
+            .then(result => {
+                if (cancelled) return;
+                setSessions(result);
+                setError(null);
+            })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setError(err);
+            });
+        return () => { cancelled = true; };
+    }, [adminService, userId, version]);
+
+    const mutate = async (fn) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await fn();
+            setVersion(v => v + 1);
+        } catch (err) {
+            console.error(err);
+            setError(err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const endSession = (session) => mutate(() => adminService.deleteSession(session.id, { offline: session.offline }));
+
+    const logoutEverywhere = () => {
+        if (!window.confirm(`Log ${username} out of all active sessions?`)) return;
+        mutate(() => adminService.logoutUser(userId));
+    };
+
+    const cell = { padding: '0.4rem 0.6rem', borderBottom: '1px solid #334155' };
+    const onlineCount = sessions?.filter(s => !s.offline).length || 0;
+
+    return (
+        <div style={{ background: '#0f172a', padding: '1rem', borderRadius: '6px', border: '1px solid #334155' }}>
+            <ErrorBanner error={error} keycloak={adminService.keycloak} />
+            {sessions === null && !error && <div style={{ color: '#94a3b8' }}>Loading sessions...</div>}
+            {sessions?.length === 0 && <div style={{ color: '#94a3b8', fontStyle: 'italic' }}>No active sessions</div>}
+            {sessions?.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em', textAlign: 'left' }}>
+                    <thead>
+                        <tr>
+                            <th style={cell}>IP</th>
+                            <th style={cell}>Started</th>
+                            <th style={cell}>Last access</th>
+                            <th style={cell}>Clients</th>
+                            <th style={cell}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map(session => (
+                            <tr key={`${session.offline ? 'offline' : 'online'}-${session.id}`}>
+                                <td style={cell}>
+                                    {session.ipAddress}
+                                    {session.offline && (
+                                        <span style={{ marginLeft: '0.4rem', padding: '1px 6px', borderRadius: '4px', background: '#475569', fontSize: '0.8em' }}>
+                                            offline
+                                        </span>
+                                    )}
+                                </td>
+                                <td style={cell}>{new Date(session.start).toLocaleString()}</td>
+                                <td style={cell}>{new Date(session.lastAccess).toLocaleString()}</td>
+                                <td style={cell}>{session.clients.join(', ') || '-'}</td>
+                                <td style={{ ...cell, textAlign: 'right' }}>
+                                    <button
+                                        type="button"
+                                        disabled={busy}
+                                        onClick={() => endSession(session)}
+                                        style={{ padding: '0.2rem 0.6rem', fontSize: '0.85em', background: '#dc2626' }}
+                                    >
+                                        End
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.8rem' }}>
+                <button
+                    type="button"
+                    disabled={busy || onlineCount === 0}
+                    onClick={logoutEverywhere}
+                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#dc2626' }}
+                >
+                    Log out everywhere
+                </button>
+                <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => setVersion(v => v + 1)}
+                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.85em', background: '#334155' }}
+                >
+                    ↻ Refresh
+                </button>
+            </div>
+        </div>
+    );
+}
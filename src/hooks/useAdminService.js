@@ -0,0 +1,11 @@
+import { useContext } from 'react';
+import { AdminServiceContext } from '../services/adminServiceContext';
+
+/**
+ * The shared { adminService, queries } from the nearest AdminServiceProvider
+ */
+export default function useAdminService() {
+    const context = useContext(AdminServiceContext);
+    if (!context) throw new Error('useAdminService must be used inside <AdminServiceProvider>.');
+    return context;
+}
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Returns `value` once it has stopped changing for `delay` ms.
+ * Used to avoid hitting the Admin API on every keystroke.
+ */
+export default function useDebouncedValue(value, delay = 400) {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timeoutId = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timeoutId);
+    }, [value, delay]);
+
+    return debounced;
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef } from 'react';
+import { EMPTY_LIVE_STATE, mergeLiveEvents } from '../services/liveTail';
+
+/**
+ * Polls `fetchLatest` every `intervalMs` while `enabled`, merging new events on top.
+ * Pauses while the browser tab is hidden or the attached list (scrollRef) is scrolled
+ * away from the top, so rows don't shift under the reader. State resets when
+ * `enabled` or `resetKey` changes.
+ */
+export default function useLiveTail(fetchLatest, { enabled, intervalMs = 5000, resetKey }) {
+    const [state, setState] = useState(EMPTY_LIVE_STATE);
+    const [error, setError] = useState(null);
+    const [hidden, setHidden] = useState(document.visibilityState === 'hidden');
+    const [scrolled, setScrolled] = useState(false);
+    const scrollRef = useRef(null);
+
+    // Latest fetcher without restarting the poll loop on every render
+    const fetchRef = useRef(fetchLatest);
+    useEffect(() => {
+        fetchRef.current = fetchLatest;
+    });
+
+    const [session, setSession] = useState({ enabled, resetKey });
+    if (session.enabled !== enabled || session.resetKey !== resetKey) {
+        setSession({ enabled, resetKey });
+        setState(EMPTY_LIVE_STATE);
+        setError(null);
+        setScrolled(false);
+    }
+
+    useEffect(() => {
+        const onVisibility = () => setHidden(document.visibilityState === 'hidden');
+        document.addEventListener('visibilitychange', onVisibility);
+        return () => document.removeEventListener('visibilitychange', onVisibility);
+    }, []);
+
+    const paused = hidden || scrolled;
+
+    useEffect(() => {
+        if (!enabled || paused) return;
+        let cancelled = false;
+        let timer = null;
+        // Chained timeouts rather than setInterval so a slow server never gets overlapping polls
+        const poll = () => fetchRef.current()
+            .then(batch => {
+                if (cancelled) return;
+                setState(prev => mergeLiveEvents(prev, batch || []));
+                setError(null);
+            })
+            .catch(err => {
+                console.error(err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) timer = setTimeout(poll, intervalMs);
+            });
+        poll();
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [enabled, paused, intervalMs, resetKey]);
+
+    const onScroll = (e) => setScrolled(e.currentTarget.scrollTop > 0);
+
+    const resume = () => {
+        scrollRef.current?.scrollTo({ top: 0 });
+        setScrolled(false);
+    };
+
+    return {
+        ...state,
+        error,
+        paused,
+        pauseReason: hidden ? 'hidden' : (scrolled ? 'scroll' : null),
+        scrollRef,
+        onScroll,
+        resume
+    };
+}
@@ -0,0 +1,39 @@
+import { useState, useEffect, useMemo } from 'react';
+import useAdminService from './useAdminService';
+import { buildPermissions, managementClientId, probeCapabilities } from '../services/permissions';
+
+/**
+ * Capabilities of the logged-in admin in the managed realm (see services/permissions).
+ * Recomputed whenever `tokenParsed` changes, i.e. after each token refresh, so
+ * roles granted or revoked in Keycloak show up without reloading the page.
+ * Falls back to probing the Admin API when the token carries no management roles.
+ * Must be used inside <AdminServiceProvider>.
+ */
+export default function usePermissions(tokenParsed) {
+    const { adminService } = useAdminService();
+    const { keycloak, realm } = adminService;
+    const client = managementClientId(keycloak.realm, realm);
+    const roles = useMemo(
+        () => tokenParsed?.resource_access?.[client]?.roles || [],
+        [client, tokenParsed]
+    );
+    const needsProbe = !!tokenParsed && roles.length === 0;
+
+    const [probed, setProbed] = useState(null); // { realm, results }
+
+    useEffect(() => {
+        if (!needsProbe) return;
+        let cancelled = false;
+        probeCapabilities(adminService)
+            .then(results => {
+                if (!cancelled) setProbed({ realm, results });
+            });
+        return () => { cancelled = true; };
+    }, [needsProbe, adminService, realm]);
+
+    return useMemo(() => buildPermissions({
+        client,
+        roles,
+        probed: needsProbe && probed?.realm === realm ? probed.results : null
+    }), [client, roles, needsProbe, probed, realm]);
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useRef } from 'react';
+import useAdminService from './useAdminService';
+import QueryCache from '../services/queryCache';
+
+/**
+ * Read `key` through the shared QueryCache: `fetcher(adminService)` runs with a
+ * service bound to this render's AbortSignal, so a new key or unmount cancels the
+ * old request, and only the latest key's result is ever returned.
+ * Refetches when an invalidate() covers the key.
+ *
+ * @param {Array} key - Must contain everything `fetcher` depends on
+ * @param {(adminService) => Promise} fetcher
+ * @param {object} [options] - { enabled = true, staleMs } (staleMs 0: always refetch, still deduplicated)
+ * @returns {{ data, error, loading, refetch }} - data stays at the previous value while refetching
+ */
+export default function useQuery(key, fetcher, { enabled = true, staleMs } = {}) {
+    const { adminService, queries } = useAdminService();
+    const hash = JSON.stringify(key);
+    // Bumped by refetch() and by invalidation
+    const [version, setVersion] = useState(0);
+    const [state, setState] = useState({ hash: null, version: -1, data: undefined, error: null });
+    const fetcherRef = useRef(fetcher);
+    const forceRef = useRef(false);
+
+    useEffect(() => {
+        fetcherRef.current = fetcher;
+    });
+
+    useEffect(() => queries.subscribe(prefix => {
+        if (QueryCache.affects(prefix, JSON.parse(hash))) setVersion(v => v + 1);
+    }), [queries, hash]);
+
+    useEffect(() => {
+        if (!enabled) return;
+        const controller = new AbortController();
+        const force = forceRef.current;
+        forceRef.current = false;
+        queries.fetch(JSON.parse(hash), signal => fetcherRef.current(adminService.withSignal(signal)), {
+            signal: controller.signal, force, staleMs
+        })
+            .then(data => setState({ hash, version, data, error: null }))
+            .catch(error => {
+                if (error.name === 'AbortError') return;
+                console.error(error);
+                setState(prev => ({ hash, version, data: prev.hash === hash ? prev.data : undefined, error }));
+            });
+        return () => controller.abort();
+    }, [queries, adminService, hash, version, enabled, staleMs]);
+
+    const refetch = () => {
+        forceRef.current = true;
+        setVersion(v => v + 1);
+    };
+
+    const current = state.hash === hash;
+    return {
+        data: current ? state.data : undefined,
+        error: current ? state.error : null,
+        loading: enabled && (!current || state.version !== version),
+        refetch
+    };
+}
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { appPath, matchRoute, subscribeToNavigation } from '../services/router';
+
+/**
+ * The current route ({ path, name, params }; name is null when nothing matches),
+ * re-rendering on navigate() and back/forward. Query strings are left to the
+ * pages that own them.
+ */
+export default function useRoute() {
+    const path = useSyncExternalStore(subscribeToNavigation, () => appPath());
+    const match = matchRoute(path);
+    return { path, name: match?.name ?? null, params: match?.params ?? {} };
+}
@@ -0,0 +1,45 @@
+/**
+ * Helpers for displaying Keycloak admin events (/admin-events).
+ */
+
+export const OPERATION_TYPES = ['CREATE', 'UPDATE', 'DELETE', 'ACTION'];
+
+// Most useful subset of Keycloak's ResourceType enum for a user-management dashboard
+export const RESOURCE_TYPES = [
+    'USER', 'REALM_ROLE_MAPPING', 'CLIENT_ROLE_MAPPING', 'GROUP', 'GROUP_MEMBERSHIP',
+    'REALM_ROLE', 'CLIENT_ROLE', 'CLIENT', 'USER_SESSION', 'USER_LOGIN_FAILURE',
+    'REALM', 'AUTH_FLOW', 'IDENTITY_PROVIDER', 'CLIENT_SCOPE', 'COMPONENT'
+];
+
+const ROLE_MAPPING_TYPES = ['REALM_ROLE_MAPPING', 'CLIENT_ROLE_MAPPING'];
+
+/**
+ * The `representation` field is a JSON string (only present when
+ * "Include Representation" is enabled in the realm's admin events settings).
+ */
+export function parseRepresentation(evt) {
+    if (!evt.representation) return null;
+    try {
+        return JSON.parse(evt.representation);
+    } catch {
+        return evt.representation;
+    }
+}
+
+/**
+ * Readable summary of a role-mapping event, or null for other resource types.
+ * resourcePath looks like "users/{id}/role-mappings/realm" or "groups/{id}/role-mappings/clients/{clientUuid}".
+ * Returns { change: 'granted' | 'revoked', roles: [names], subjectType: 'users' | 'groups', subjectId }
+ */
+export function describeRoleMappingChange(evt) {
+    if (!ROLE_MAPPING_TYPES.includes(evt.resourceType)) return null;
+    const [subjectType, subjectId] = (evt.resourcePath || '').split('/');
+    const rep = parseRepresentation(evt);
+    const roles = Array.isArray(rep) ? rep.map(r => r.name || r.id) : [];
+    return {
+        change: evt.operationType === 'DELETE' ? 'revoked' : 'granted',
+        roles,
+        subjectType,
+        subjectId
+    };
+}
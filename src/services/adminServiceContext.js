@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+/**
+ * { adminService, queries } for the managed realm, see AdminServiceProvider
+ */
+export const AdminServiceContext = createContext(null);
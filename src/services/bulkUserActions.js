@@ -0,0 +1,54 @@
+/**
+ * Actions available from the UserManager bulk toolbar.
+ * Each `run(adminService, user, options)` acts on a single user; BulkActionsBar
+ * fans them out with limited concurrency and collects a per-user report.
+ * `protectSelf` actions are never applied to the logged-in admin.
+ */
+
+export const BULK_CONCURRENCY = 4;
+
+export const BULK_ACTIONS = {
+    enable: {
+        label: 'Enable',
+        run: (adminService, user) => adminService.updateUser(user.id, { enabled: true })
+    },
+    disable: {
+        label: 'Disable',
+        protectSelf: true,
+        run: (adminService, user) => adminService.updateUser(user.id, { enabled: false })
+    },
+    disableAndLogout: {
+        label: 'Disable & end sessions',
+        protectSelf: true,
+        run: async (adminService, user) => {
+            await adminService.updateUser(user.id, { enabled: false });
+            return adminService.logoutUser(user.id);
+        }
+    },
+    addRole: {
+        label: 'Add realm role',
+        needsRole: true,
+        run: (adminService, user, { role }) => adminService.addRealmRoleMappings(user.id, [role])
+    },
+    removeRole: {
+        label: 'Remove realm role',
+        needsRole: true,
+        run: (adminService, user, { role }) => adminService.removeRealmRoleMappings(user.id, [role])
+    },
+    forcePasswordReset: {
+        label: 'Force password reset',
+        // Adds UPDATE_PASSWORD to the required actions, keeping whatever was already required
+        run: async (adminService, user) => {
+            const current = await adminService.getUser(user.id);
+            const requiredActions = new Set(current.requiredActions || []);
+            requiredActions.add('UPDATE_PASSWORD');
+            return adminService.updateUser(user.id, { requiredActions: [...requiredActions] });
+        }
+    },
+    delete: {
+        label: 'Delete',
+        destructive: true,
+        protectSelf: true,
+        run: (adminService, user) => adminService.deleteUser(user.id)
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+ * Never rejects: every item gets a { item, ok, value | error } entry, in input order,
+ * so callers can show a per-item report instead of stopping at the first failure.
+ *
+ * options.onProgress({ done, total, failed }) is called after each item.
+ * options.signal (AbortSignal) stops scheduling new items; skipped items are reported
+ * with ok: false and error.name === 'AbortError'.
+ */
+export async function mapWithConcurrency(items, limit, worker, { onProgress, signal } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let done = 0;
+    let failed = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            const item = items[index];
+
+            if (signal?.aborted) {
+                const error = new Error('Cancelled');
+                error.name = 'AbortError';
+                results[index] = { item, ok: false, error };
+            } else {
+                try {
+                    results[index] = { item, ok: true, value: await worker(item, index) };
+                } catch (error) {
+                    results[index] = { item, ok: false, error };
+                }
+            }
+
+            done++;
+            if (!results[index].ok) failed++;
+            onProgress?.({ done, total: items.length, failed });
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,109 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting)
+ */
+
+// Leading characters that make Excel / Sheets evaluate a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell. Text that would start a formula (e.g. a username typed into the login
+ * form as "=HYPERLINK(...)") is prefixed with ' so spreadsheets show it as text.
+ * Numbers are left alone, so negative values stay numeric.
+ */
+export function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : `${value}`;
+    if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+}
+
+/**
+ * Incremental CSV writer for row objects whose columns are only known as rows arrive.
+ * New columns are appended to the right, so earlier rows just end early; the header is
+ * produced last and placed first. Output is kept as string chunks, ready for a Blob.
+ */
+export class CsvWriter {
+    constructor(baseColumns = []) {
+        this.columns = [...baseColumns];
+        this.index = new Map(this.columns.map((c, i) => [c, i]));
+        this.chunks = [];
+    }
+
+    addRows(rows) {
+        let text = '';
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!this.index.has(key)) {
+                    this.index.set(key, this.columns.length);
+                    this.columns.push(key);
+                }
+            });
+            const values = new Array(this.columns.length).fill('');
+            Object.entries(row).forEach(([key, value]) => { values[this.index.get(key)] = value; });
+            text += csvLine(values);
+        });
+        if (text) this.chunks.push(text);
+    }
+
+    toBlob() {
+        return new Blob([csvLine(this.columns), ...this.chunks], { type: 'text/csv;charset=utf-8' });
+    }
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header line.
+ * Handles quoted cells (embedded commas, quotes, newlines), CRLF and a UTF-8 BOM.
+ * Completely empty lines are skipped; `line` is the 1-based line where each row starts.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    const src = text.replace(/^\uFEFF/, '');
+
+    const endCell = () => { record.push(cell); cell = ''; };
+    const endRecord = () => {
+        endCell();
+        if (record.some(v => v !== '')) records.push({ line: recordLine, values: record });
+        record = [];
+        recordLine = line;
+    };
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            endCell();
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || record.length > 0) endRecord();
+
+    const [header, ...rows] = records;
+    if (!header) return [];
+    const columns = header.values.map(c => c.trim());
+    return rows.map(({ line: rowLine, values }) => ({
+        line: rowLine,
+        row: Object.fromEntries(columns.map((c, i) => [c, (values[i] ?? '').trim()]))
+    }));
+}
@@ -0,0 +1,21 @@
+/**
+ * Save a Blob as a file through a temporary object URL
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * "2026-10-18T09-30-00" style stamp for file names
+ */
+export function fileTimestamp(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
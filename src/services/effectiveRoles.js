@@ -0,0 +1,125 @@
+/**
+ * Resolve where each of a user's effective roles comes from.
+ *
+ * Keycloak's /composite endpoints only return the flattened result. To answer
+ * "why does this user have `admin`?" we rebuild the graph ourselves:
+ *   roots    = direct user mappings + mappings of every group the user is in (incl. parent groups)
+ *   children = composites of each role, expanded recursively
+ *
+ * Node: { key, role, clientId, source, via, children, cycle }
+ *   source: 'direct' | 'default' | 'group' | 'composite'
+ *   clientId: human client id for client roles, null for realm roles
+ *   via: group path for 'group' roots
+ */
+
+const isDefaultRoles = (role) => !role.clientRole && role.name.startsWith('default-roles-');
+
+export const roleLabel = (role, clientId) => (clientId ? `${clientId}: ${role.name}` : role.name);
+
+/**
+ * Flatten a role-mappings representation into [{ role, clientId }]
+ */
+function flattenMappings(mappings) {
+    const entries = (mappings.realmMappings || []).map(role => ({ role, clientId: null }));
+    Object.values(mappings.clientMappings || {}).forEach(({ client, mappings: roles }) => {
+        (roles || []).forEach(role => entries.push({ role, clientId: client }));
+    });
+    return entries;
+}
+
+/**
+ * "/a/b/c" -> ["/a", "/a/b", "/a/b/c"]: members of a subgroup inherit the parents' roles
+ */
+function groupPathWithAncestors(path) {
+    const segments = path.split('/').filter(Boolean);
+    return segments.map((_, i) => '/' + segments.slice(0, i + 1).join('/'));
+}
+
+export async function resolveEffectiveRoles(adminService, userId) {
+    const [directMappings, groups, effectiveRealm, clients] = await Promise.all([
+        adminService.getUserRoleMappings(userId),
+        adminService.getUserGroups(userId),
+        adminService.getUserEffectiveRealmRoles(userId),
+        adminService.getAllClients()
+    ]);
+
+    // Composite roles reference client roles by container (client UUID)
+    const clientIdByUuid = new Map((clients || []).map(c => [c.id, c.clientId]));
+    const compositesCache = new Map();
+    const getComposites = (role) => {
+        if (!compositesCache.has(role.id)) {
+            compositesCache.set(role.id, adminService.getRoleComposites(role.id));
+        }
+        return compositesCache.get(role.id);
+    };
+
+    let nextKey = 0;
+    const expand = async (role, clientId, source, via, ancestors) => {
+        const node = { key: nextKey++, role, clientId, source, via, children: [], cycle: false };
+        if (ancestors.has(role.id)) {
+            node.cycle = true;
+            return node;
+        }
+        if (role.composite) {
+            const nextAncestors = new Set(ancestors).add(role.id);
+            const children = await getComposites(role);
+            node.children = await Promise.all(children.map(child =>
+                expand(child, child.clientRole ? (clientIdByUuid.get(child.containerId) || child.containerId) : null, 'composite', null, nextAncestors)
+            ));
+        }
+        return node;
+    };
+
+    const roots = flattenMappings(directMappings).map(({ role, clientId }) =>
+        expand(role, clientId, isDefaultRoles(role) ? 'default' : 'direct', null, new Set())
+    );
+
+    // Group mappings, including those inherited from parent groups
+    const groupPaths = [...new Set(groups.flatMap(g => groupPathWithAncestors(g.path)))];
+    const groupRoots = await Promise.all(groupPaths.map(async (path) => {
+        const group = await adminService.getGroupByPath(path);
+        const mappings = await adminService.getGroupRoleMappings(group.id);
+        return flattenMappings(mappings).map(({ role, clientId }) => expand(role, clientId, 'group', path, new Set()));
+    }));
+
+    const tree = await Promise.all([...roots, ...groupRoots.flat()]);
+
+    // Index every path to each role so the UI can answer "why?"
+    const effective = new Map();
+    const walk = (node, path) => {
+        const label = roleLabel(node.role, node.clientId);
+        const here = [...path, node];
+        if (!effective.has(label)) {
+            effective.set(label, { role: node.role, clientId: node.clientId, paths: [] });
+        }
+        effective.get(label).paths.push(here);
+        node.children.forEach(child => walk(child, here));
+    };
+    tree.forEach(node => walk(node, []));
+
+    // Cross-check with Keycloak's own flattened lists: anything we could not explain is still shown.
+    // Client roles are checked on every client the tree reached.
+    const reachedClients = new Map();
+    effective.forEach(({ role, clientId }) => {
+        if (role.clientRole && role.containerId) reachedClients.set(role.containerId, clientId);
+    });
+    const effectiveClient = await Promise.all([...reachedClients].map(async ([clientUuid, clientId]) =>
+        (await adminService.getUserEffectiveClientRoles(userId, clientUuid)).map(role => ({ role, clientId }))
+    ));
+    [
+        ...effectiveRealm.map(role => ({ role, clientId: null })),
+        ...effectiveClient.flat()
+    ].forEach(({ role, clientId }) => {
+        const label = roleLabel(role, clientId);
+        if (!effective.has(label)) {
+            effective.set(label, { role, clientId, paths: [] });
+        }
+    });
+
+    return {
+        tree,
+        effective: [...effective.entries()]
+            .map(([label, entry]) => ({ label, ...entry }))
+            .sort((a, b) => a.label.localeCompare(b.label))
+    };
+}
@@ -0,0 +1,94 @@
+import { CsvWriter } from './csv';
+
+/**
+ * Export every event matching the current filters, page by page.
+ * Pages are serialized as soon as they arrive, so only string chunks are kept
+ * (never the full result set as objects, and never in React state).
+ */
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', type: 'application/x-ndjson' }
+};
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Login event -> flat row; the `details` map becomes detail.* columns
+ */
+export function flattenLoginEvent(evt) {
+    const row = {
+        time: new Date(evt.time).toISOString(),
+        type: evt.type,
+        realmId: evt.realmId,
+        clientId: evt.clientId,
+        userId: evt.userId,
+        sessionId: evt.sessionId,
+        ipAddress: evt.ipAddress,
+        error: evt.error
+    };
+    Object.entries(evt.details || {}).forEach(([key, value]) => { row[`detail.${key}`] = value; });
+    return row;
+}
+
+export const LOGIN_EVENT_COLUMNS = ['time', 'type', 'realmId', 'clientId', 'userId', 'sessionId', 'ipAddress', 'error'];
+
+/**
+ * Admin event -> flat row
+ */
+export function flattenAdminEvent(evt) {
+    return {
+        time: new Date(evt.time).toISOString(),
+        operationType: evt.operationType,
+        resourceType: evt.resourceType,
+        resourcePath: evt.resourcePath,
+        'auth.realmId': evt.authDetails?.realmId,
+        'auth.clientId': evt.authDetails?.clientId,
+        'auth.userId': evt.authDetails?.userId,
+        'auth.ipAddress': evt.authDetails?.ipAddress,
+        error: evt.error,
+        representation: evt.representation
+    };
+}
+
+export const ADMIN_EVENT_COLUMNS = [
+    'time', 'operationType', 'resourceType', 'resourcePath',
+    'auth.realmId', 'auth.clientId', 'auth.userId', 'auth.ipAddress', 'error', 'representation'
+];
+
+/**
+ * fetchPage(first, max, signal) -> Promise<event[]>, aborting its request with `signal`
+ * flatten(event) -> row object (CSV only; JSON formats keep the raw events)
+ * onProgress(count) after each page; signal (AbortSignal) cancels the page in flight.
+ * Resolves to { blob, count }; rejects with an AbortError when cancelled.
+ */
+export async function exportEvents({ fetchPage, format, flatten, columns = [], signal, onProgress }) {
+    const csv = format === 'csv' ? new CsvWriter(columns) : null;
+    const chunks = [];
+    let count = 0;
+
+    for (let first = 0; ; first += EXPORT_PAGE_SIZE) {
+        if (signal?.aborted) {
+            throw new DOMException('Export cancelled', 'AbortError');
+        }
+
+        const page = (await fetchPage(first, EXPORT_PAGE_SIZE, signal)) || [];
+        if (csv) {
+            csv.addRows(page.map(flatten));
+        } else if (format === 'ndjson') {
+            if (page.length) chunks.push(page.map(e => JSON.stringify(e)).join('\n') + '\n');
+        } else if (page.length) {
+            // JSON array, written incrementally
+            chunks.push((count === 0 ? '[\n' : ',\n') + page.map(e => JSON.stringify(e)).join(',\n'));
+        }
+
+        count += page.length;
+        onProgress?.(count);
+        if (page.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    if (csv) return { blob: csv.toBlob(), count };
+    if (format === 'json') chunks.push(count === 0 ? '[]\n' : '\n]\n');
+    return { blob: new Blob(chunks, { type: EXPORT_FORMATS[format].type }), count };
+}
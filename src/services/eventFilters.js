@@ -0,0 +1,73 @@
+/**
+ * Login event filter model for AuditLog, and its encoding in the page URL
+ * so an investigation can be shared as a link.
+ */
+
+export const DEFAULT_EVENT_TYPES = ['LOGIN', 'LOGOUT', 'LOGIN_ERROR'];
+
+// User-facing event types worth filtering on (Keycloak's EventType enum has many more)
+export const EVENT_TYPES = [
+    'LOGIN', 'LOGIN_ERROR', 'LOGOUT', 'LOGOUT_ERROR',
+    'CODE_TO_TOKEN', 'CODE_TO_TOKEN_ERROR', 'REFRESH_TOKEN', 'REFRESH_TOKEN_ERROR',
+    'CLIENT_LOGIN', 'CLIENT_LOGIN_ERROR', 'REGISTER', 'REGISTER_ERROR',
+    'UPDATE_PASSWORD', 'UPDATE_PASSWORD_ERROR', 'SEND_RESET_PASSWORD', 'RESET_PASSWORD', 'RESET_PASSWORD_ERROR',
+    'UPDATE_TOTP', 'REMOVE_TOTP', 'VERIFY_EMAIL', 'EXECUTE_ACTIONS', 'EXECUTE_ACTIONS_ERROR',
+    'IMPERSONATE', 'TOKEN_EXCHANGE',
+    'USER_DISABLED_BY_TEMPORARY_LOCKOUT', 'USER_DISABLED_BY_PERMANENT_LOCKOUT'
+];
+
+// URL value for "no type filter": an empty types list means every event type
+const ALL_TYPES_PARAM = 'ALL';
+
+export const EMPTY_EVENT_FILTERS = {
+    types: DEFAULT_EVENT_TYPES,     // [] = every type, including those not listed in EVENT_TYPES
+    user: '',        // user id
+    client: '',      // clientId
+    ipAddress: '',
+    dateFrom: '',    // yyyy-MM-dd
+    dateTo: ''
+};
+
+// filter key -> URL query parameter
+const QUERY_KEYS = {
+    types: 'type',
+    user: 'user',
+    client: 'client',
+    ipAddress: 'ip',
+    dateFrom: 'from',
+    dateTo: 'to'
+};
+
+/**
+ * Read filters from a query string (e.g. window.location.search)
+ */
+export function eventFiltersFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...EMPTY_EVENT_FILTERS };
+    const values = params.getAll(QUERY_KEYS.types);
+    // Any type Keycloak knows is a valid filter, not only those listed in EVENT_TYPES
+    const types = [...new Set(values.map(t => t.trim()).filter(Boolean))];
+    if (values.includes(ALL_TYPES_PARAM)) filters.types = [];
+    else if (types.length) filters.types = types;
+    ['user', 'client', 'ipAddress', 'dateFrom', 'dateTo'].forEach(key => {
+        const value = params.get(QUERY_KEYS[key]);
+        if (value) filters[key] = value;
+    });
+    return filters;
+}
+
+/**
+ * Write filters into `params` (a URLSearchParams), replacing earlier event filter keys
+ * and leaving unrelated parameters alone. Defaults are omitted to keep links short.
+ */
+export function writeEventFiltersToQuery(filters, params) {
+    Object.values(QUERY_KEYS).forEach(k => params.delete(k));
+    const isDefaultTypes = filters.types.length === DEFAULT_EVENT_TYPES.length
+        && filters.types.every(t => DEFAULT_EVENT_TYPES.includes(t));
+    if (filters.types.length === 0) params.append(QUERY_KEYS.types, ALL_TYPES_PARAM);
+    else if (!isDefaultTypes) filters.types.forEach(t => params.append(QUERY_KEYS.types, t));
+    ['user', 'client', 'ipAddress', 'dateFrom', 'dateTo'].forEach(key => {
+        if (filters[key]) params.set(QUERY_KEYS[key], filters[key]);
+    });
+    return params;
+}
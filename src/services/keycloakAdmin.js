@@ -3,49 +3,159 @@
  * Documentation: https://www.keycloak.org/docs-api/21.0.1/rest-api/index.html
  */
 
+import { KeycloakAdminError, ErrorKind, RETRYABLE_STATUSES } from './keycloakAdminError';
+
+// Default retry policy: exponential backoff with jitter for transient failures
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,              // Extra attempts after the first one
+    baseDelayMs: 300,        // Delay before the first retry, doubled each attempt
+    maxDelayMs: 5000,        // Upper bound for a single delay (also caps Retry-After)
+    retryOn: RETRYABLE_STATUSES,
+    retryNetworkErrors: true,
+    // Only methods that are safe to repeat. A POST that timed out may already have created the user.
+    methods: ['GET', 'HEAD', 'PUT', 'DELETE']
+};
+
+// Resolves after `ms`, or rejects with the signal's AbortError as soon as it is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
 class KeycloakAdminService {
-    constructor(keycloak) {
+    /**
+     * @param {Keycloak} keycloak - Initialized keycloak-js instance
+     * @param {object} [options]
+     * @param {object} [options.retry] - Overrides for DEFAULT_RETRY_POLICY ({ retries: 0 } disables retries)
+     * @param {string} [options.realm] - Realm to manage; defaults to the realm the admin logged in to.
+     *   A master-realm admin can manage other realms with the same token.
+     */
+    constructor(keycloak, options = {}) {
         this.keycloak = keycloak;
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+        this.realm = options.realm || keycloak.realm;
         // Base URL for Admin API: usually {serverUrl}/admin/realms/{realm}
         // We remove the trailing slash if present
         const authServerUrl = keycloak.authServerUrl.replace(/\/$/, "");
-        this.baseUrl = `${authServerUrl}/admin/realms/${keycloak.realm}`;
+        this.baseUrl = `${authServerUrl}/admin/realms/${encodeURIComponent(this.realm)}`;
+        // Set on copies made by withSignal()
+        this.signal = null;
+        // What this server turned out not to support, shared with the withSignal() copies
+        this.unsupported = { bruteForceUsers: false };
     }
 
-    async _request(endpoint, options = {}) {
+    /**
+     * Copy of this service whose requests all follow `signal`: aborting it cancels the
+     * fetch in flight and any pending retry with an AbortError. Everything else is shared.
+     *   const svc = adminService.withSignal(controller.signal);
+     */
+    withSignal(signal) {
+        return Object.create(this, { signal: { value: signal } });
+    }
+
+    /**
+     * Make sure we hold a valid token, refreshing it if it expires within 30s.
+     * A failed refresh means the SSO session is gone, which is reported as SESSION_EXPIRED
+     * rather than a generic API error.
+     */
+    async _ensureToken(endpoint, method) {
         if (!this.keycloak.token) {
-            throw new Error("No active token");
+            throw new KeycloakAdminError({ kind: ErrorKind.SESSION_EXPIRED, endpoint, method, message: "No active token" });
         }
 
-        // Ensure token is valid (refresh if needed, with 30s buffer)
-        await this.keycloak.updateToken(30);
+        try {
+            await this.keycloak.updateToken(30);
+        } catch (cause) {
+            throw new KeycloakAdminError({ kind: ErrorKind.SESSION_EXPIRED, endpoint, method, cause });
+        }
+    }
 
-        const url = `${this.baseUrl}${endpoint}`;
+    /**
+     * Delay before retry number `attempt` (1-based). Honors Retry-After (seconds) when present.
+     */
+    _retryDelay(attempt, response) {
+        const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+        const retryAfter = response ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+        if (!Number.isNaN(retryAfter)) {
+            return Math.min(retryAfter * 1000, maxDelayMs);
+        }
+        const exp = baseDelayMs * 2 ** (attempt - 1);
+        // Full jitter keeps several tabs from retrying in lockstep
+        return Math.min(maxDelayMs, Math.round(exp / 2 + Math.random() * exp / 2));
+    }
 
-        const headers = {
-            'Authorization': `Bearer ${this.keycloak.token}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
+    /**
+     * Perform the request (with token refresh and retries) and return the raw Response.
+     * Use when headers matter (e.g. Location after a POST); otherwise prefer _request.
+     * options.signal (default: the one given to withSignal) aborts it; the AbortError is
+     * thrown as is, never wrapped or retried.
+     */
+    async _fetch(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const { retries, retryOn, retryNetworkErrors, methods } = this.retryPolicy;
+        const canRetry = methods.includes(method);
+        const signal = options.signal || this.signal;
 
-        const config = {
-            ...options,
-            headers
-        };
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            await this._ensureToken(endpoint, method);
+
+            const url = `${this.baseUrl}${endpoint}`;
+
+            const headers = {
+                'Authorization': `Bearer ${this.keycloak.token}`,
+                'Content-Type': 'application/json',
+                ...options.headers
+            };
 
-        const response = await fetch(url, config);
+            const config = {
+                ...options,
+                headers,
+                signal
+            };
 
-        if (!response.ok) {
-            if (response.status === 403) {
-                throw new Error("Access Denied: You likely need 'realm-admin' or 'manage-users' role.");
+            let response;
+            try {
+                response = await fetch(url, config);
+            } catch (cause) {
+                if (cause?.name === 'AbortError') throw cause;
+                const retryable = canRetry && retryNetworkErrors;
+                if (retryable && attempt < retries) {
+                    await sleep(this._retryDelay(attempt + 1), signal);
+                    continue;
+                }
+                throw new KeycloakAdminError({ kind: ErrorKind.NETWORK, endpoint, method, retryable, attempts: attempt + 1, cause });
             }
-            if (response.status === 409) {
-                throw new Error("Conflict: User or resource already exists.");
+
+            if (!response.ok) {
+                // 429 means the server refused before doing anything, so it is safe for any method
+                const retryableStatus = retryOn.includes(response.status) && (canRetry || response.status === 429);
+                if (retryableStatus && attempt < retries) {
+                    await sleep(this._retryDelay(attempt + 1, response), signal);
+                    continue;
+                }
+                throw await KeycloakAdminError.fromResponse(response, {
+                    endpoint, method, retryable: retryableStatus, attempts: attempt + 1
+                });
             }
-            const text = await response.text();
-            throw new Error(`API Error ${response.status}: ${text}`);
+
+            return response;
         }
+    }
 
+    async _request(endpoint, options = {}) {
+        const response = await this._fetch(endpoint, options);
+        return this._parseResponse(response);
+    }
+
+    async _parseResponse(response) {
         // Return JSON if content exists, otherwise null
         const contentLength = response.headers.get("content-length");
         if (contentLength === '0' || response.status === 204) {
@@ -54,61 +164,321 @@ class KeycloakAdminService {
 
         try {
             return await response.json();
-        } catch (e) {
+        } catch {
             return null;
         }
     }
 
     /**
-   * List users with pagination
-   */
-    async getUsers(first = 0, max = 10) {
-        return this._request(`/users?first=${first}&max=${max}`);
+     * Translate a UI filter object into /users query parameters.
+     * filters: {
+     *   search,                        // free text over username, email, first and last name
+     *   username, email,               // exact match when `exact` is true, otherwise substring
+     *   firstName, lastName, exact,
+     *   enabled, emailVerified,        // true / false / undefined (= don't care)
+     *   idpAlias,                      // users linked to this identity provider
+     *   attributes                     // { key: value } -> q=key:value (custom attribute search)
+     * }
+     * Keycloak ignores every field filter except `enabled` when `search` is present,
+     * so they are not sent then (see userFilters FIELD_FILTER_KEYS).
+     */
+    _buildUserQuery(filters = {}) {
+        const params = new URLSearchParams();
+        const search = filters.search?.trim();
+        if (search) {
+            params.append('search', search);
+            if (typeof filters.enabled === 'boolean') params.append('enabled', filters.enabled);
+            return params;
+        }
+        ['username', 'email', 'firstName', 'lastName', 'idpAlias'].forEach(key => {
+            const value = filters[key]?.trim?.();
+            if (value) params.append(key, value);
+        });
+        ['enabled', 'emailVerified'].forEach(key => {
+            if (typeof filters[key] === 'boolean') params.append(key, filters[key]);
+        });
+        if (filters.exact && (filters.username || filters.email || filters.firstName || filters.lastName)) {
+            params.append('exact', 'true');
+        }
+        const q = Object.entries(filters.attributes || {})
+            .filter(([key, value]) => key.trim() && `${value}`.trim())
+            .map(([key, value]) => `${key.trim()}:${`${value}`.trim()}`)
+            .join(' ');
+        if (q) params.append('q', q);
+        return params;
+    }
+
+    /**
+     * List users with pagination, optionally filtered (see _buildUserQuery).
+     * `brief` skips attributes and other heavy fields (briefRepresentation).
+     */
+    async getUsers(first = 0, max = 10, filters = {}, { brief = false } = {}) {
+        const params = this._buildUserQuery(filters);
+        params.append('first', first);
+        params.append('max', max);
+        if (brief) params.append('briefRepresentation', 'true');
+        return this._request(`/users?${params.toString()}`);
+    }
+
+    /**
+     * Brief page of users with their lockout state attached as `bruteForceStatus`
+     * ({ numFailures, disabled, lastIPFailure, lastFailure }), in one request.
+     * Uses the admin console's internal ui-ext endpoint. On servers without it (remembered
+     * after the first 404) this is a plain brief page without `bruteForceStatus`: read the
+     * lockout of a user on demand with getBruteForceStatus.
+     */
+    async getUsersWithBruteForceStatus(first = 0, max = 10, filters = {}) {
+        if (!this.unsupported.bruteForceUsers) {
+            const params = this._buildUserQuery(filters);
+            params.append('first', first);
+            params.append('max', max);
+            params.append('briefRepresentation', 'true');
+            try {
+                return await this._request(`/ui-ext/brute-force-user?${params.toString()}`);
+            } catch (err) {
+                if (err.kind !== ErrorKind.NOT_FOUND) throw err;
+                this.unsupported.bruteForceUsers = true;
+            }
+        }
+        return this.getUsers(first, max, filters, { brief: true });
     }
 
     /**
-     * Get total user count (for pagination)
+     * Get total user count (for pagination), honoring the same filters as getUsers.
+     * Note: /users/count does not support `idpAlias` or `exact`; callers should treat the
+     * count as unknown (null) in that case.
      */
-    async getUsersCount() {
+    async getUsersCount(filters = {}) {
+        const params = this._buildUserQuery(filters);
+        if (params.has('idpAlias') || params.has('exact')) {
+            return null;
+        }
+        const query = params.toString();
         // API: /users/count
-        const count = await this._request('/users/count');
+        const count = await this._request(`/users/count${query ? `?${query}` : ''}`);
         return count ? parseInt(count) : 0;
     }
 
+    /**
+     * Walk every user matching `filters`, one page at a time.
+     * Async generator yielding arrays of users, so large realms never sit in memory at once.
+     */
+    async *iterateUsers(filters = {}, pageSize = 100) {
+        for (let first = 0; ; first += pageSize) {
+            const page = await this.getUsers(first, pageSize, filters);
+            if (!page || page.length === 0) return;
+            yield page;
+            if (page.length < pageSize) return;
+        }
+    }
+
+    /**
+     * Get a single user (full representation, including attributes)
+     */
+    async getUser(userId) {
+        return this._request(`/users/${userId}`);
+    }
+
+    /**
+     * Update a user
+     * changes: partial UserRepresentation, e.g. { firstName, lastName, email, enabled, emailVerified, attributes }
+     * Keycloak leaves omitted fields untouched, but `attributes` replaces the whole attribute map.
+     */
+    async updateUser(userId, changes) {
+        // API: PUT /users/{id}
+        return this._request(`/users/${userId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    /**
+     * Delete a user
+     */
+    async deleteUser(userId) {
+        // API: DELETE /users/{id}
+        return this._request(`/users/${userId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Active (online) sessions of a user
+     * Each: { id, ipAddress, start, lastAccess, rememberMe, clients: { [clientUuid]: clientId } }
+     */
+    async getUserSessions(userId) {
+        const sessions = await this._request(`/users/${userId}/sessions`);
+        return sessions || [];
+    }
+
+    /**
+     * Offline sessions (refresh tokens with offline_access) of a user for one client
+     * clientUuid: the client's internal id (not its clientId)
+     */
+    async getUserOfflineSessions(userId, clientUuid) {
+        const sessions = await this._request(`/users/${userId}/offline-sessions/${clientUuid}`);
+        return sessions || [];
+    }
+
+    /**
+     * Consents and offline grants of a user
+     * Each: { clientId, grantedClientScopes, createdDate, lastUpdatedDate, additionalGrants: [{ client, key }] }
+     * Clients holding offline tokens carry an "Offline Token" additional grant.
+     */
+    async getUserConsents(userId) {
+        const consents = await this._request(`/users/${userId}/consents`);
+        return consents || [];
+    }
+
+    /**
+     * End a single session (online, or offline with { offline: true })
+     */
+    async deleteSession(sessionId, { offline = false } = {}) {
+        // API: DELETE /sessions/{session}
+        const query = offline ? '?isOffline=true' : '';
+        return this._request(`/sessions/${sessionId}${query}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Log a user out of every online session (offline tokens are not revoked)
+     */
+    async logoutUser(userId) {
+        // API: POST /users/{id}/logout
+        return this._request(`/users/${userId}/logout`, {
+            method: 'POST'
+        });
+    }
+
+    /**
+     * Brute-force detection status of a user
+     * Returns { numFailures, disabled, lastIPFailure, lastFailure } (disabled = temporarily locked)
+     */
+    async getBruteForceStatus(userId) {
+        return this._request(`/attack-detection/brute-force/users/${userId}`);
+    }
+
+    /**
+     * Clear a user's login failures, unlocking the account
+     */
+    async clearBruteForceForUser(userId) {
+        // API: DELETE /attack-detection/brute-force/users/{userId}
+        return this._request(`/attack-detection/brute-force/users/${userId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Clear login failures of every user in the realm
+     */
+    async clearAllBruteForce() {
+        // API: DELETE /attack-detection/brute-force/users
+        return this._request('/attack-detection/brute-force/users', {
+            method: 'DELETE'
+        });
+    }
+
     /**
      * Get Events (Audit Logs)
-     * types: array of strings e.g. ['LOGIN', 'LOGOUT']
+     * filters: {
+     *   types: array of strings e.g. ['LOGIN', 'LOGOUT'] (omitted: login/logout/login error; empty: every type)
+     *   client,                  // clientId (not the UUID)
+     *   user,                    // user id
+     *   ipAddress,
+     *   dateFrom, dateTo         // yyyy-MM-dd
+     * }
+     * For backwards compatibility an array is accepted as the list of types.
      */
-    async getEvents(first = 0, max = 10, types = ['LOGIN', 'LOGOUT', 'LOGIN_ERROR']) {
+    async getEvents(first = 0, max = 10, filters = {}) {
+        if (Array.isArray(filters)) filters = { types: filters };
+        const types = filters.types ?? ['LOGIN', 'LOGOUT', 'LOGIN_ERROR'];
+
         // API: /events?type=LOGIN&type=LOGOUT...
         const params = new URLSearchParams();
         params.append('first', first);
         params.append('max', max);
         types.forEach(t => params.append('type', t));
+        ['client', 'user', 'ipAddress', 'dateFrom', 'dateTo'].forEach(key => {
+            const value = filters[key]?.trim?.();
+            if (value) params.append(key, value);
+        });
 
         return this._request(`/events?${params.toString()}`);
     }
 
+    /**
+     * Get Admin Events (changes made through the Admin API / console)
+     * filters: {
+     *   operationTypes: ['CREATE', 'UPDATE', 'DELETE', 'ACTION'],
+     *   resourceTypes: ['USER', 'REALM_ROLE_MAPPING', ...],
+     *   resourcePath,            // supports * wildcards, e.g. "users/*"
+     *   authUser, authClient,    // user id / client UUID of whoever made the change
+     *   authIpAddress,
+     *   dateFrom, dateTo         // yyyy-MM-dd
+     * }
+     */
+    async getAdminEvents(first = 0, max = 10, filters = {}) {
+        // API: /admin-events?operationTypes=CREATE&resourceTypes=USER...
+        const params = new URLSearchParams();
+        params.append('first', first);
+        params.append('max', max);
+        (filters.operationTypes || []).forEach(t => params.append('operationTypes', t));
+        (filters.resourceTypes || []).forEach(t => params.append('resourceTypes', t));
+        ['resourcePath', 'authUser', 'authClient', 'authIpAddress', 'dateFrom', 'dateTo'].forEach(key => {
+            const value = filters[key]?.trim?.();
+            if (value) params.append(key, value);
+        });
+
+        return this._request(`/admin-events?${params.toString()}`);
+    }
+
     /**
      * Create a new user
+     * Returns the new user's ID, taken from the Location header
+     * (falls back to an exact username lookup if the header is not exposed via CORS).
      */
     async createUser(userData) {
         // userData format: { username: "abc", email: "abc@test.com", enabled: true, ... }
-        return this._request('/users', {
+        const response = await this._fetch('/users', {
             method: 'POST',
             body: JSON.stringify(userData)
         });
+
+        // Location: {baseUrl}/users/{id}
+        const location = response.headers.get('location');
+        const id = location?.split('/').filter(Boolean).pop();
+        if (id) return decodeURIComponent(id);
+
+        let created = null;
+        let cause;
+        try {
+            [created] = await this.getUsers(0, 1, { username: userData.username, exact: true });
+        } catch (err) {
+            cause = err;
+        }
+        if (!created) {
+            const error = new KeycloakAdminError({
+                kind: ErrorKind.UNKNOWN, status: response.status, endpoint: '/users', method: 'POST', cause,
+                message: `User ${userData.username} was created but its ID could not be determined.`
+            });
+            // The POST succeeded: the account exists although this call failed
+            error.userCreated = true;
+            throw error;
+        }
+        return created.id;
     }
 
     /**
      * Set user password
+     * temporary: the user has to choose a new password at next login
      */
-    async resetPassword(userId, newPassword) {
+    async resetPassword(userId, newPassword, { temporary = false } = {}) {
         // API: PUT /users/{id}/reset-password
         const payload = {
             type: "password",
             value: newPassword,
-            temporary: false
+            temporary
         };
 
         return this._request(`/users/${userId}/reset-password`, {
@@ -117,6 +487,58 @@ class KeycloakAdminService {
         });
     }
 
+    /**
+     * Realm password policy string, e.g. "length(8) and digits(1) and notUsername(undefined)"
+     * Empty string when the realm has no policy. Needs view-realm.
+     */
+    async getPasswordPolicy() {
+        // API: GET /admin/realms/{realm}
+        const realm = await this._request('');
+        return realm?.passwordPolicy || '';
+    }
+
+    /**
+     * Stored credentials of a user
+     * Each: { id, type ('password' | 'otp' | 'webauthn' | ...), userLabel, createdDate }
+     */
+    async getUserCredentials(userId) {
+        const credentials = await this._request(`/users/${userId}/credentials`);
+        return credentials || [];
+    }
+
+    /**
+     * Remove a credential, e.g. a lost OTP device so the user can enroll a new one
+     */
+    async deleteUserCredential(userId, credentialId) {
+        // API: DELETE /users/{id}/credentials/{credentialId}
+        return this._request(`/users/${userId}/credentials/${credentialId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Email the user a link to perform required actions (e.g. set a password)
+     * actions: ['UPDATE_PASSWORD', 'VERIFY_EMAIL', ...]
+     * options: {
+     *   lifespan,      // link validity in seconds (realm default when omitted)
+     *   clientId,      // clientId to return to after the actions...
+     *   redirectUri    // ...and where; needs clientId
+     * }
+     */
+    async executeActionsEmail(userId, actions, { lifespan, clientId, redirectUri } = {}) {
+        // API: PUT /users/{id}/execute-actions-email?lifespan=&client_id=&redirect_uri=
+        const params = new URLSearchParams();
+        if (lifespan) params.append('lifespan', lifespan);
+        if (clientId) params.append('client_id', clientId);
+        if (clientId && redirectUri) params.append('redirect_uri', redirectUri);
+        const query = params.toString();
+
+        return this._request(`/users/${userId}/execute-actions-email${query ? `?${query}` : ''}`, {
+            method: 'PUT',
+            body: JSON.stringify(actions)
+        });
+    }
+
     /**
     * Get all realm roles
     */
@@ -156,13 +578,343 @@ class KeycloakAdminService {
         });
     }
 
+    /**
+     * All direct role mappings of a user: { realmMappings: [], clientMappings: { clientId: { id, client, mappings } } }
+     */
+    async getUserRoleMappings(userId) {
+        const mappings = await this._request(`/users/${userId}/role-mappings`);
+        return mappings || {};
+    }
+
+    /**
+     * Effective realm roles of a user (direct + composites + groups + default roles)
+     */
+    async getUserEffectiveRealmRoles(userId) {
+        const roles = await this._request(`/users/${userId}/role-mappings/realm/composite`);
+        return roles || [];
+    }
+
+    /**
+     * Effective roles of a user on one client
+     */
+    async getUserEffectiveClientRoles(userId, clientUuid) {
+        const roles = await this._request(`/users/${userId}/role-mappings/clients/${clientUuid}/composite`);
+        return roles || [];
+    }
+
+    /**
+     * Roles a composite role contains (realm and client roles, one level deep)
+     */
+    async getRoleComposites(roleId) {
+        const roles = await this._request(`/roles-by-id/${roleId}/composites`);
+        return roles || [];
+    }
+
+    /**
+     * Groups a user is a direct member of
+     */
+    async getUserGroups(userId) {
+        const groups = await this._request(`/users/${userId}/groups`);
+        return groups || [];
+    }
+
+    /**
+     * Group lookup by full path, e.g. "/hospital/cardiology"
+     */
+    async getGroupByPath(path) {
+        const encoded = path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        return this._request(`/group-by-path/${encoded}`);
+    }
+
+    /**
+     * Direct role mappings of a group, same shape as getUserRoleMappings
+     */
+    async getGroupRoleMappings(groupId) {
+        const mappings = await this._request(`/groups/${groupId}/role-mappings`);
+        return mappings || {};
+    }
+
+    /**
+     * List clients of the realm
+     * search: optional clientId fragment (substring match)
+     */
+    async getClients(search = '', first = 0, max = 100) {
+        const params = new URLSearchParams({ first, max });
+        if (search) {
+            params.append('clientId', search);
+            params.append('search', 'true');
+        }
+        return this._request(`/clients?${params.toString()}`);
+    }
+
+    /**
+     * Every client of the realm (optionally matching `search`), paged through so
+     * large realms don't lose clients such as realm-management past the first page
+     */
+    async getAllClients(search = '', pageSize = 100) {
+        const clients = [];
+        for (let first = 0; ; first += pageSize) {
+            const page = (await this.getClients(search, first, pageSize)) || [];
+            clients.push(...page);
+            if (page.length < pageSize) return clients;
+        }
+    }
+
+    /**
+     * Roles defined on a client
+     * clientUuid: the client's internal id (not its clientId)
+     */
+    async getClientRoles(clientUuid) {
+        const roles = await this._request(`/clients/${clientUuid}/roles`);
+        return roles || [];
+    }
+
+    /**
+     * Client roles directly mapped to a user
+     */
+    async getUserClientRoles(userId, clientUuid) {
+        const roles = await this._request(`/users/${userId}/role-mappings/clients/${clientUuid}`);
+        return roles || [];
+    }
+
+    /**
+     * Client roles that can still be mapped to a user
+     */
+    async getAvailableUserClientRoles(userId, clientUuid) {
+        const roles = await this._request(`/users/${userId}/role-mappings/clients/${clientUuid}/available`);
+        return roles || [];
+    }
+
+    /**
+     * Map client roles to user
+     * rolesArray: Array of RoleRepresentation objects of that client (must include id and name)
+     */
+    async addClientRoleMappings(userId, clientUuid, rolesArray) {
+        // POST /users/{id}/role-mappings/clients/{client}
+        return this._request(`/users/${userId}/role-mappings/clients/${clientUuid}`, {
+            method: 'POST',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    /**
+     * Remove client roles from user
+     */
+    async removeClientRoleMappings(userId, clientUuid, rolesArray) {
+        // DELETE /users/{id}/role-mappings/clients/{client}
+        return this._request(`/users/${userId}/role-mappings/clients/${clientUuid}`, {
+            method: 'DELETE',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    /**
+     * Top-level groups (subGroups are fetched lazily with getGroupChildren)
+     * search: optional name fragment; Keycloak then returns matching groups with their matching subtree
+     */
+    async getGroups(search = '', first = 0, max = 100) {
+        const params = new URLSearchParams({ first, max, briefRepresentation: 'false' });
+        if (search) params.append('search', search);
+        const groups = await this._request(`/groups?${params.toString()}`);
+        return groups || [];
+    }
+
+    /**
+     * Direct subgroups of a group
+     */
+    async getGroupChildren(groupId, first = 0, max = 100) {
+        const params = new URLSearchParams({ first, max, briefRepresentation: 'false' });
+        const groups = await this._request(`/groups/${groupId}/children?${params.toString()}`);
+        return groups || [];
+    }
+
+    async getGroup(groupId) {
+        return this._request(`/groups/${groupId}`);
+    }
+
+    /**
+     * Create a group, at the top level or under parentId. Returns the new group's ID.
+     */
+    async createGroup(name, parentId = null) {
+        const endpoint = parentId ? `/groups/${parentId}/children` : '/groups';
+        const response = await this._fetch(endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        const location = response.headers.get('location');
+        if (location) return decodeURIComponent(location.split('/').filter(Boolean).pop());
+        // Some versions answer 201 with the representation instead of a usable Location
+        const body = await this._parseResponse(response);
+        return body?.id || null;
+    }
+
+    /**
+     * Rename / update a group
+     * changes: partial GroupRepresentation, e.g. { name }
+     */
+    async updateGroup(groupId, changes) {
+        const current = await this.getGroup(groupId);
+        return this._request(`/groups/${groupId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...current, ...changes })
+        });
+    }
+
+    /**
+     * Move a group under another parent (or to the top level when newParentId is null).
+     * Keycloak moves a group when an existing representation (with id) is POSTed to the new location.
+     */
+    async moveGroup(groupId, newParentId = null) {
+        const group = await this.getGroup(groupId);
+        const endpoint = newParentId ? `/groups/${newParentId}/children` : '/groups';
+        return this._request(endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ id: group.id, name: group.name })
+        });
+    }
+
+    async deleteGroup(groupId) {
+        return this._request(`/groups/${groupId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Direct members of a group
+     */
+    async getGroupMembers(groupId, first = 0, max = 20) {
+        const members = await this._request(`/groups/${groupId}/members?first=${first}&max=${max}`);
+        return members || [];
+    }
+
+    async addUserToGroup(userId, groupId) {
+        // PUT /users/{id}/groups/{groupId}
+        return this._request(`/users/${userId}/groups/${groupId}`, {
+            method: 'PUT'
+        });
+    }
+
+    async removeUserFromGroup(userId, groupId) {
+        // DELETE /users/{id}/groups/{groupId}
+        return this._request(`/users/${userId}/groups/${groupId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async addGroupRealmRoleMappings(groupId, rolesArray) {
+        return this._request(`/groups/${groupId}/role-mappings/realm`, {
+            method: 'POST',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    async removeGroupRealmRoleMappings(groupId, rolesArray) {
+        return this._request(`/groups/${groupId}/role-mappings/realm`, {
+            method: 'DELETE',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    async getGroupClientRoles(groupId, clientUuid) {
+        const roles = await this._request(`/groups/${groupId}/role-mappings/clients/${clientUuid}`);
+        return roles || [];
+    }
+
+    async getAvailableGroupClientRoles(groupId, clientUuid) {
+        const roles = await this._request(`/groups/${groupId}/role-mappings/clients/${clientUuid}/available`);
+        return roles || [];
+    }
+
+    async addGroupClientRoleMappings(groupId, clientUuid, rolesArray) {
+        return this._request(`/groups/${groupId}/role-mappings/clients/${clientUuid}`, {
+            method: 'POST',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    async removeGroupClientRoleMappings(groupId, clientUuid, rolesArray) {
+        return this._request(`/groups/${groupId}/role-mappings/clients/${clientUuid}`, {
+            method: 'DELETE',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
     /**
      * Get specific role by name 
      * Useful to get the Role ID needed for mapping
      */
     async getRoleByName(roleName) {
-        return this._request(`/roles/${roleName}`);
+        return this._request(`/roles/${encodeURIComponent(roleName)}`);
+    }
+
+    /**
+     * Create a realm role
+     * role: { name, description, attributes: { key: [values] } }
+     */
+    async createRealmRole(role) {
+        // API: POST /roles
+        return this._request('/roles', {
+            method: 'POST',
+            body: JSON.stringify(role)
+        });
+    }
+
+    /**
+     * Update a realm role's description / attributes
+     * changes: partial RoleRepresentation; `attributes` replaces the whole attribute map.
+     */
+    async updateRealmRole(roleName, changes) {
+        const current = await this.getRoleByName(roleName);
+        return this._request(`/roles/${encodeURIComponent(roleName)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...current, ...changes })
+        });
+    }
+
+    /**
+     * Delete a realm role (Keycloak removes it from every user, group and composite)
+     */
+    async deleteRealmRole(roleName) {
+        return this._request(`/roles/${encodeURIComponent(roleName)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Make roles (realm or client RoleRepresentations with id) part of a composite realm role
+     */
+    async addRoleComposites(roleName, rolesArray) {
+        // API: POST /roles/{role-name}/composites
+        return this._request(`/roles/${encodeURIComponent(roleName)}/composites`, {
+            method: 'POST',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    async removeRoleComposites(roleName, rolesArray) {
+        return this._request(`/roles/${encodeURIComponent(roleName)}/composites`, {
+            method: 'DELETE',
+            body: JSON.stringify(rolesArray)
+        });
+    }
+
+    /**
+     * Users holding a realm role directly (not through groups or composites)
+     */
+    async getRoleUsers(roleName, first = 0, max = 20, { brief = false } = {}) {
+        const query = `first=${first}&max=${max}${brief ? '&briefRepresentation=true' : ''}`;
+        const users = await this._request(`/roles/${encodeURIComponent(roleName)}/users?${query}`);
+        return users || [];
+    }
+
+    /**
+     * Groups a realm role is mapped to directly; their members (and subgroups) hold it too
+     */
+    async getRoleGroups(roleName, first = 0, max = 100) {
+        const groups = await this._request(`/roles/${encodeURIComponent(roleName)}/groups?first=${first}&max=${max}`);
+        return groups || [];
     }
 }
 
+export { KeycloakAdminError, ErrorKind };
 export default KeycloakAdminService;
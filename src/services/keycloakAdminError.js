@@ -0,0 +1,128 @@
+/**
+ * Typed error thrown by KeycloakAdminService.
+ * Lets the UI tell "session expired" apart from "forbidden" and "server down"
+ * without parsing message strings.
+ */
+
+export const ErrorKind = {
+    SESSION_EXPIRED: 'session_expired', // Token missing or refresh failed -> user must log in again
+    UNAUTHORIZED: 'unauthorized',       // 401 from the Admin API
+    FORBIDDEN: 'forbidden',             // 403: missing realm-management role
+    NOT_FOUND: 'not_found',             // 404
+    CONFLICT: 'conflict',               // 409: user/resource already exists
+    VALIDATION: 'validation',           // 400: Keycloak rejected the payload (e.g. password policy)
+    RATE_LIMITED: 'rate_limited',       // 429
+    SERVER: 'server',                   // 5xx
+    NETWORK: 'network',                 // fetch() itself failed (CORS, DNS, Keycloak down)
+    UNKNOWN: 'unknown'
+};
+
+// Statuses that are safe to retry with backoff
+export const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+function kindFromStatus(status) {
+    if (status === 401) return ErrorKind.UNAUTHORIZED;
+    if (status === 403) return ErrorKind.FORBIDDEN;
+    if (status === 404) return ErrorKind.NOT_FOUND;
+    if (status === 409) return ErrorKind.CONFLICT;
+    if (status === 400) return ErrorKind.VALIDATION;
+    if (status === 429) return ErrorKind.RATE_LIMITED;
+    if (status >= 500) return ErrorKind.SERVER;
+    return ErrorKind.UNKNOWN;
+}
+
+function defaultMessage(kind, status, body) {
+    switch (kind) {
+        case ErrorKind.SESSION_EXPIRED:
+            return "Session expired: Please log in again.";
+        case ErrorKind.UNAUTHORIZED:
+            return "Unauthorized: Your token was rejected by Keycloak.";
+        case ErrorKind.FORBIDDEN:
+            return "Access Denied: You likely need 'realm-admin' or 'manage-users' role.";
+        case ErrorKind.CONFLICT:
+            return body?.errorMessage
+                ? `Conflict: ${body.errorMessage}`
+                : "Conflict: User or resource already exists.";
+        case ErrorKind.NETWORK:
+            return "Network Error: Keycloak is unreachable (check that the server is running and CORS/Web Origins).";
+        default:
+            return `API Error ${status}: ${body?.errorMessage || body?.error || body?.raw || 'Unknown error'}`;
+    }
+}
+
+export class KeycloakAdminError extends Error {
+    /**
+     * @param {object} info
+     * @param {string} info.kind - One of ErrorKind
+     * @param {number} [info.status] - HTTP status (0 for network/session errors)
+     * @param {string} [info.endpoint] - Admin API path, relative to the realm
+     * @param {string} [info.method] - HTTP method
+     * @param {object} [info.body] - Parsed Keycloak error body ({ errorMessage, field, ... } or { raw })
+     * @param {boolean} [info.retryable] - Whether the retry policy covers this failure for this method
+     * @param {number} [info.attempts] - Requests made, retries included
+     * @param {Error} [info.cause] - Underlying error (network failure, token refresh failure)
+     * @param {string} [info.message] - Overrides the default message
+     */
+    constructor({ kind, status = 0, endpoint = '', method = 'GET', body = null, retryable = false, attempts = 1, cause, message }) {
+        super(message || defaultMessage(kind, status, body), cause ? { cause } : undefined);
+        this.name = 'KeycloakAdminError';
+        this.kind = kind;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.body = body;
+        this.errorMessage = body?.errorMessage || body?.error_description || body?.error || null;
+        this.field = body?.field || null;
+        this.retryable = retryable;
+        this.attempts = attempts;
+    }
+
+    /**
+     * Build an error from a failed fetch Response.
+     * `retryable` defaults to the status alone; the service passes what its policy decided.
+     */
+    static async fromResponse(response, { endpoint, method, retryable, attempts }) {
+        const text = await response.text().catch(() => '');
+        let body = null;
+        if (text) {
+            try {
+                body = JSON.parse(text);
+            } catch {
+                body = { raw: text };
+            }
+        }
+
+        return new KeycloakAdminError({
+            kind: kindFromStatus(response.status),
+            status: response.status,
+            endpoint,
+            method,
+            body,
+            retryable: retryable ?? RETRYABLE_STATUSES.includes(response.status),
+            attempts
+        });
+    }
+
+    get isSessionExpired() {
+        return this.kind === ErrorKind.SESSION_EXPIRED || this.kind === ErrorKind.UNAUTHORIZED;
+    }
+
+    get isForbidden() {
+        return this.kind === ErrorKind.FORBIDDEN;
+    }
+
+    get isServerDown() {
+        return this.kind === ErrorKind.NETWORK || this.kind === ErrorKind.SERVER;
+    }
+
+    get wasRetried() {
+        return this.attempts > 1;
+    }
+}
+
+/**
+ * Type guard usable on any caught value
+ */
+export function isKeycloakAdminError(err) {
+    return err instanceof KeycloakAdminError;
+}
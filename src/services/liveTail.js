@@ -0,0 +1,45 @@
+/**
+ * Merging of polled login events for the audit log's live mode.
+ */
+
+// Newest events fetched per poll
+export const LIVE_BATCH_SIZE = 50;
+// Rows kept on screen; older ones drop off the bottom
+export const LIVE_MAX_ROWS = 200;
+
+export const EMPTY_LIVE_STATE = { events: [], newKeys: new Set(), primed: false, gap: false };
+
+/**
+ * Events have no id, so identify them by their content.
+ * Two identical events in the same millisecond collapse into one row.
+ */
+export function eventFingerprint(evt) {
+    return JSON.stringify([evt.time, evt.type, evt.userId, evt.sessionId, evt.ipAddress, evt.clientId, evt.error, evt.details]);
+}
+
+/**
+ * Add a freshly polled batch (newest first) to the live state.
+ * `newKeys` holds the fingerprints this poll added, except on the first poll
+ * which just fills the table.
+ */
+export function mergeLiveEvents(prev, batch) {
+    const shown = new Set(prev.events.map(eventFingerprint));
+    // A full batch that shares nothing with the table means more events arrived than one poll fetches
+    const gap = prev.primed && prev.events.length > 0 && batch.length >= LIVE_BATCH_SIZE
+        && !batch.some(evt => shown.has(eventFingerprint(evt)));
+    // Skip events already shown, and repeats within the batch itself
+    const known = new Set(shown);
+    const fresh = batch.filter(evt => {
+        const key = eventFingerprint(evt);
+        if (known.has(key)) return false;
+        known.add(key);
+        return true;
+    });
+
+    return {
+        events: [...fresh, ...prev.events].sort((a, b) => b.time - a.time).slice(0, LIVE_MAX_ROWS),
+        newKeys: prev.primed ? new Set(fresh.map(eventFingerprint)) : new Set(),
+        primed: true,
+        gap: prev.gap || gap
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Aggregation of login events for the security analytics panel.
+ * Events are fed page by page (add), so only counters and failure timestamps are kept.
+ */
+
+export const ANALYTICS_WINDOWS = {
+    '1h': { label: 'Last hour', ms: 60 * 60 * 1000, bucketMs: 5 * 60 * 1000 },
+    '24h': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000, bucketMs: 60 * 60 * 1000 },
+    '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000, bucketMs: 6 * 60 * 60 * 1000 },
+    '30d': { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000, bucketMs: 24 * 60 * 60 * 1000 }
+};
+
+// Thresholds for the suspicious-pattern rules
+export const DETECTION_RULES = {
+    // One IP failing for many different usernames: credential stuffing / password spraying
+    distinctUsernamesPerIp: 5,
+    // Many failures on one account in a short span: brute force
+    burstFailures: 5,
+    burstWindowMs: 10 * 60 * 1000
+};
+
+const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+const topEntries = (map, limit = 10) =>
+    [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([key, count]) => ({ key, count }));
+
+export class LoginAnalytics {
+    /**
+     * @param {number} from - window start (epoch ms)
+     * @param {number} to - window end (epoch ms)
+     * @param {number} bucketMs - timeline bucket size
+     */
+    constructor(from, to, bucketMs) {
+        this.from = from;
+        this.to = to;
+        this.bucketMs = bucketMs;
+        this.total = { success: 0, failed: 0 };
+        this.failuresByUser = new Map();
+        this.failuresByIp = new Map();
+        this.failuresByClient = new Map();
+        this.errorsByType = new Map();
+        this.usernamesByIp = new Map();       // ip -> Set(username)
+        this.failureTimesByUser = new Map();  // username -> [epoch ms]
+        const bucketCount = Math.ceil((to - from) / bucketMs);
+        this.timeline = Array.from({ length: bucketCount }, (_, i) => ({ start: from + i * bucketMs, success: 0, failed: 0 }));
+    }
+
+    add(events) {
+        events.forEach(evt => {
+            if (evt.time < this.from || evt.time > this.to) return;
+            const bucket = this.timeline[Math.min(this.timeline.length - 1, Math.floor((evt.time - this.from) / this.bucketMs))];
+
+            if (evt.type === 'LOGIN') {
+                this.total.success++;
+                bucket.success++;
+                return;
+            }
+            if (evt.type !== 'LOGIN_ERROR') return;
+
+            const username = evt.details?.username || evt.userId || '(unknown)';
+            const ip = evt.ipAddress || '(unknown)';
+            this.total.failed++;
+            bucket.failed++;
+            increment(this.failuresByUser, username);
+            increment(this.failuresByIp, ip);
+            increment(this.failuresByClient, evt.clientId || '(none)');
+            increment(this.errorsByType, evt.error || '(unspecified)');
+
+            if (!this.usernamesByIp.has(ip)) this.usernamesByIp.set(ip, new Set());
+            this.usernamesByIp.get(ip).add(username);
+
+            if (!this.failureTimesByUser.has(username)) this.failureTimesByUser.set(username, []);
+            this.failureTimesByUser.get(username).push(evt.time);
+        });
+    }
+
+    /**
+     * Apply DETECTION_RULES. Returns [{ kind, subject, detail, severity }]
+     */
+    findings() {
+        const findings = [];
+
+        this.usernamesByIp.forEach((usernames, ip) => {
+            if (usernames.size >= DETECTION_RULES.distinctUsernamesPerIp) {
+                findings.push({
+                    kind: 'Many usernames from one IP',
+                    subject: ip,
+                    detail: `${usernames.size} different usernames failed from this IP (${this.failuresByIp.get(ip)} failures)`,
+                    severity: usernames.size >= DETECTION_RULES.distinctUsernamesPerIp * 3 ? 'high' : 'medium'
+                });
+            }
+        });
+
+        this.failureTimesByUser.forEach((times, username) => {
+            const sorted = [...times].sort((a, b) => a - b);
+            // Sliding window: largest number of failures within burstWindowMs
+            let best = 0;
+            let bestStart = 0;
+            for (let start = 0, end = 0; end < sorted.length; end++) {
+                while (sorted[end] - sorted[start] > DETECTION_RULES.burstWindowMs) start++;
+                if (end - start + 1 > best) {
+                    best = end - start + 1;
+                    bestStart = sorted[start];
+                }
+            }
+            if (best >= DETECTION_RULES.burstFailures) {
+                findings.push({
+                    kind: 'Failure burst on account',
+                    subject: username,
+                    detail: `${best} failures within ${DETECTION_RULES.burstWindowMs / 60000} minutes starting ${new Date(bestStart).toLocaleString()}`,
+                    severity: best >= DETECTION_RULES.burstFailures * 2 ? 'high' : 'medium'
+                });
+            }
+        });
+
+        return findings.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'high' ? -1 : 1));
+    }
+
+    summary() {
+        return {
+            total: this.total,
+            failuresByUser: topEntries(this.failuresByUser),
+            failuresByIp: topEntries(this.failuresByIp),
+            failuresByClient: topEntries(this.failuresByClient),
+            errorsByType: topEntries(this.errorsByType),
+            timeline: this.timeline,
+            findings: this.findings()
+        };
+    }
+}
+
+/**
+ * yyyy-MM-dd in local time, the format /events expects for dateFrom/dateTo
+ */
+export function toEventDate(epochMs) {
+    const d = new Date(epochMs);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
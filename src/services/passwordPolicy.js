@@ -0,0 +1,152 @@
+/**
+ * Client-side view of the realm password policy, so the user form can validate
+ * as you type and generate compliant passwords. Keycloak still enforces the
+ * policy on reset-password; rules that need server state (history, blacklist)
+ * are only listed.
+ */
+
+// Characters Keycloak counts as "special" are anything but letters and digits
+const CHARSETS = {
+    lowerCase: 'abcdefghijkmnopqrstuvwxyz',
+    upperCase: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    digits: '23456789',
+    specialChars: '!@#$%^&*()-_=+[]{};:,.?'
+};
+
+const GENERATED_LENGTH = 16;
+
+/**
+ * "length(8) and digits(1) and notUsername(undefined)" -> { length: '8', digits: '1', notUsername: 'undefined' }
+ * Splits on " and " only outside parentheses, so regexPattern(...) may contain it.
+ */
+export function parsePasswordPolicy(policy) {
+    const rules = {};
+    if (!policy) return rules;
+
+    let depth = 0;
+    let current = '';
+    const parts = [];
+    for (let i = 0; i < policy.length; i++) {
+        const ch = policy[i];
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (depth === 0 && policy.startsWith(' and ', i)) {
+            parts.push(current);
+            current = '';
+            i += ' and '.length - 1;
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current);
+
+    parts.map(p => p.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^([A-Za-z]+)(?:\((.*)\))?$/s);
+        if (match) rules[match[1]] = match[2] ?? '';
+    });
+    return rules;
+}
+
+const count = (password, test) => [...password].filter(test).length;
+const ruleNumber = (value, fallback = 1) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : n;
+};
+
+/**
+ * Check a password against parsed rules.
+ * Returns [{ rule, label, ok }]; ok is null for rules only the server can check.
+ */
+export function checkPassword(password, rules, { username = '', email = '' } = {}) {
+    const checks = [];
+    const add = (rule, label, ok) => checks.push({ rule, label, ok });
+
+    if ('length' in rules) {
+        const min = ruleNumber(rules.length, 8);
+        add('length', `At least ${min} characters`, password.length >= min);
+    }
+    if ('maxLength' in rules) {
+        const max = ruleNumber(rules.maxLength, 64);
+        add('maxLength', `At most ${max} characters`, password.length <= max);
+    }
+    if ('digits' in rules) {
+        const n = ruleNumber(rules.digits);
+        add('digits', `${n} digit(s)`, count(password, c => /\d/.test(c)) >= n);
+    }
+    if ('lowerCase' in rules) {
+        const n = ruleNumber(rules.lowerCase);
+        add('lowerCase', `${n} lowercase letter(s)`, count(password, c => c !== c.toUpperCase()) >= n);
+    }
+    if ('upperCase' in rules) {
+        const n = ruleNumber(rules.upperCase);
+        add('upperCase', `${n} uppercase letter(s)`, count(password, c => c !== c.toLowerCase()) >= n);
+    }
+    if ('specialChars' in rules) {
+        const n = ruleNumber(rules.specialChars);
+        add('specialChars', `${n} special character(s)`, count(password, c => !/[\p{L}\p{N}]/u.test(c)) >= n);
+    }
+    if ('notUsername' in rules) {
+        add('notUsername', 'Not the username', !username || password.toLowerCase() !== username.toLowerCase());
+    }
+    if ('notContainsUsername' in rules) {
+        add('notContainsUsername', 'Does not contain the username', !username || !password.toLowerCase().includes(username.toLowerCase()));
+    }
+    if ('notEmail' in rules) {
+        add('notEmail', 'Not the email address', !email || password.toLowerCase() !== email.toLowerCase());
+    }
+    if ('regexPattern' in rules) {
+        let ok = null;
+        try {
+            ok = new RegExp(`^(?:${rules.regexPattern})$`).test(password);
+        } catch {
+            // Java regex syntax JavaScript can't parse; leave it to the server
+        }
+        add('regexPattern', `Matches pattern ${rules.regexPattern}`, ok);
+    }
+    if ('passwordHistory' in rules) {
+        add('passwordHistory', `Not one of the last ${ruleNumber(rules.passwordHistory, 3)} passwords (checked on save)`, null);
+    }
+    if ('passwordBlacklist' in rules) {
+        add('passwordBlacklist', 'Not a blacklisted password (checked on save)', null);
+    }
+    return checks;
+}
+
+const randomIndex = (max) => {
+    const buf = new Uint32Array(1);
+    crypto.getRandomValues(buf);
+    return buf[0] % max;
+};
+const pick = (chars) => chars[randomIndex(chars.length)];
+
+/**
+ * Random password satisfying the character-class and length rules
+ * (and a regexPattern, when one is set and a few attempts find a match).
+ */
+export function generatePassword(rules, identity = {}) {
+    const min = 'length' in rules ? ruleNumber(rules.length, 8) : 0;
+    const max = 'maxLength' in rules ? ruleNumber(rules.maxLength, 64) : Infinity;
+    const length = Math.min(Math.max(GENERATED_LENGTH, min), max);
+
+    const attempt = () => {
+        const chars = [];
+        Object.entries(CHARSETS).forEach(([rule, set]) => {
+            const needed = rule in rules ? ruleNumber(rules[rule]) : 1;
+            for (let i = 0; i < needed; i++) chars.push(pick(set));
+        });
+        const all = Object.values(CHARSETS).join('');
+        while (chars.length < length) chars.push(pick(all));
+        // Fisher-Yates so the required characters aren't always up front
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = randomIndex(i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
+        }
+        return chars.join('');
+    };
+
+    let password = attempt();
+    for (let i = 0; i < 50 && checkPassword(password, rules, identity).some(c => c.ok === false); i++) {
+        password = attempt();
+    }
+    return password;
+}
@@ -0,0 +1,90 @@
+/**
+ * What the logged-in admin may do in the managed realm.
+ *
+ * Admin API rights are client roles of the realm's management client, not realm
+ * roles: `realm-management` when the admin logs in to the managed realm itself,
+ * or `<realm>-realm` in master when a master admin manages another realm.
+ * Tokens carry effective roles, so realm-admin already expands to its parts.
+ *
+ * When the token has no roles for that client (e.g. the client's scope does not
+ * include them), probeCapabilities() asks the Admin API instead.
+ */
+import { isKeycloakAdminError } from './keycloakAdminError';
+
+// Any one of `roles` grants the capability (manage-* implies view-* server-side)
+export const CAPABILITIES = {
+    viewUsers: { label: 'View users', roles: ['view-users', 'manage-users'] },
+    manageUsers: { label: 'Manage users', roles: ['manage-users'] },
+    viewGroups: { label: 'View groups', roles: ['query-groups', 'view-users', 'manage-users'] },
+    viewEvents: { label: 'View events', roles: ['view-events', 'manage-events'] },
+    viewRealm: { label: 'View realm settings', roles: ['view-realm', 'manage-realm'] },
+    manageRealm: { label: 'Manage realm roles', roles: ['manage-realm'] },
+    viewClients: { label: 'View clients', roles: ['query-clients', 'view-clients', 'manage-clients'] }
+};
+
+export function managementClientId(loginRealm, adminRealm) {
+    if (loginRealm === adminRealm) return 'realm-management';
+    return loginRealm === 'master' ? `${adminRealm}-realm` : null;
+}
+
+/**
+ * @param {object} source
+ * @param {string} source.client - Management client id (for explanations)
+ * @param {string[]} source.roles - Client roles found in the token
+ * @param {object} [source.probed] - { capability: true | false | null } from probeCapabilities
+ * @returns {{ client, roles, source, status, can(cap): boolean, reason(cap): string|null }}
+ *   `source` is 'token', 'probe' or 'unknown'. Unknown capabilities are allowed,
+ *   so a failed probe never hides more than the API would refuse anyway.
+ */
+export function buildPermissions({ client, roles, probed }) {
+    const fromToken = roles.length > 0;
+    const status = Object.fromEntries(Object.entries(CAPABILITIES).map(([key, cap]) => [
+        key,
+        fromToken ? cap.roles.some(r => roles.includes(r)) : (probed?.[key] ?? null)
+    ]));
+
+    return {
+        client,
+        roles,
+        source: fromToken ? 'token' : (probed ? 'probe' : 'unknown'),
+        status,
+        can: (key) => status[key] !== false,
+        reason: (key) => status[key] === false
+            ? `Requires the ${CAPABILITIES[key].roles.join(' or ')} role of the ${client || 'realm-management'} client.`
+            : null
+    };
+}
+
+// true = allowed, false = 403, null = could not tell (network, 404, ...)
+async function probe(call) {
+    try {
+        return await call();
+    } catch (err) {
+        return isKeycloakAdminError(err) && err.isForbidden ? false : null;
+    }
+}
+
+/**
+ * Read-only calls that reveal each capability. manage-users is taken from the
+ * `access` block Keycloak attaches to user representations for the caller.
+ */
+export async function probeCapabilities(adminService) {
+    const [users, groups, events, clients] = await Promise.all([
+        probe(() => adminService.getUsers(0, 1)),
+        probe(async () => { await adminService.getGroups('', 0, 1); return true; }),
+        probe(async () => { await adminService.getEvents(0, 1); return true; }),
+        probe(async () => { await adminService.getClients('', 0, 1); return true; })
+    ]);
+    const firstUser = Array.isArray(users) ? users[0] : null;
+    return {
+        viewUsers: users === null ? null : users !== false,
+        manageUsers: users === false ? false : (firstUser?.access ? !!firstUser.access.manage : null),
+        viewGroups: groups,
+        viewEvents: events,
+        // GET /realms/{realm} answers every admin (with a reduced representation),
+        // and writing roles cannot be probed without writing
+        viewRealm: null,
+        manageRealm: null,
+        viewClients: clients
+    };
+}
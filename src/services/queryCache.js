@@ -0,0 +1,123 @@
+/**
+ * Small read cache in front of KeycloakAdminService, shared through
+ * AdminServiceProvider.
+ *
+ * - Keys are arrays, e.g. ['users', 'count', filters]; JSON decides equality.
+ * - Concurrent fetches of one key share a single request (deduplication).
+ *   The request is aborted only when every caller has gone away.
+ * - Results are reused for `staleMs`; invalidate(prefix) drops them after a
+ *   mutation and tells subscribers (useQuery) to fetch again. A request that was
+ *   already running when its key was invalidated is never cached.
+ */
+
+export const DEFAULT_STALE_MS = 30000;
+
+function keyHash(key) {
+    return JSON.stringify(key);
+}
+
+// Same shape as the AbortError from mapWithConcurrency
+function abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// ['users'] matches ['users'] and ['users', ...] but not ['usersX']
+function matchesPrefix(hash, prefix) {
+    const head = keyHash(prefix).slice(0, -1);
+    return hash.startsWith(head) && (hash.length === head.length + 1 || hash[head.length] === ',');
+}
+
+export default class QueryCache {
+    constructor({ staleMs = DEFAULT_STALE_MS } = {}) {
+        this.staleMs = staleMs;
+        this.entries = new Map();  // hash -> { value, time }
+        this.inflight = new Map(); // hash -> { promise, controller, waiters, invalidated }
+        this.listeners = new Set();
+    }
+
+    /**
+     * Cached value of `key`, or the result of `fn(signal)`.
+     * @param {Array} key
+     * @param {(signal: AbortSignal) => Promise} fn - Performs the request
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - This caller's cancellation; rejects with an AbortError
+     * @param {boolean} [options.force] - Ignore a cached value (an identical request in flight is still shared)
+     * @param {number} [options.staleMs]
+     */
+    fetch(key, fn, { signal, force = false, staleMs = this.staleMs } = {}) {
+        if (signal?.aborted) return Promise.reject(abortError());
+        const hash = keyHash(key);
+
+        const cached = this.entries.get(hash);
+        if (!force && cached && Date.now() - cached.time < staleMs) return Promise.resolve(cached.value);
+
+        let request = this.inflight.get(hash);
+        if (!request) {
+            const controller = new AbortController();
+            request = { controller, waiters: 0, invalidated: false };
+            request.promise = fn(controller.signal).then(value => {
+                if (!request.invalidated) this.entries.set(hash, { value, time: Date.now() });
+                return value;
+            }).finally(() => {
+                if (this.inflight.get(hash) === request) this.inflight.delete(hash);
+            });
+            // Callers may all have left; don't report that as unhandled
+            request.promise.catch(() => {});
+            this.inflight.set(hash, request);
+        }
+
+        request.waiters++;
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const leave = () => {
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                request.waiters--;
+            };
+            const onAbort = () => {
+                if (settled) return;
+                leave();
+                if (request.waiters === 0) {
+                    request.controller.abort();
+                    if (this.inflight.get(hash) === request) this.inflight.delete(hash);
+                }
+                reject(abortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            request.promise.then(
+                value => { if (!settled) { leave(); resolve(value); } },
+                error => { if (!settled) { leave(); reject(error); } }
+            );
+        });
+    }
+
+    /**
+     * Drop cached values whose key starts with `prefix` and notify subscribers.
+     * Call after every mutation that can change what those queries return.
+     */
+    invalidate(prefix) {
+        [...this.entries.keys()].filter(hash => matchesPrefix(hash, prefix)).forEach(hash => this.entries.delete(hash));
+        [...this.inflight.entries()].filter(([hash]) => matchesPrefix(hash, prefix)).forEach(([hash, request]) => {
+            request.invalidated = true;
+            this.inflight.delete(hash);
+        });
+        this.listeners.forEach(listener => listener(prefix));
+    }
+
+    /**
+     * listener(prefix) runs after each invalidate(). Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Whether an invalidated `prefix` covers `key`
+     */
+    static affects(prefix, key) {
+        return matchesPrefix(keyHash(key), prefix);
+    }
+}
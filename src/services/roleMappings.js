@@ -0,0 +1,15 @@
+/**
+ * Diff a checkbox selection against the roles a user currently holds.
+ *
+ * current:    RoleRepresentation[] mapped today
+ * candidates: RoleRepresentation[] that may be added (e.g. the "available" list)
+ * selected:   { [roleName]: boolean } from the form
+ *
+ * Returns { toAdd, toRemove } as RoleRepresentation arrays, ready for the mapping endpoints.
+ */
+export function diffRoleSelection(current, candidates, selected) {
+    const currentNames = new Set(current.map(r => r.name));
+    const toAdd = candidates.filter(r => selected[r.name] && !currentNames.has(r.name));
+    const toRemove = current.filter(r => !selected[r.name]);
+    return { toAdd, toRemove };
+}
@@ -0,0 +1,53 @@
+/**
+ * Role -> member index for the user table.
+ *
+ * Instead of one role-mapping request per listed user, the members of each
+ * managed realm role are read once from GET /roles/{name}/users and kept
+ * between page flips. Like /users/{id}/role-mappings/realm, this covers
+ * direct assignments only (not roles inherited through groups or composites).
+ *
+ * Cost: building the index reads every member of every managed role, i.e.
+ * ceil(members / ROLE_MEMBERS_PAGE_SIZE) requests per role (one role at 20,000
+ * holders is 40 requests). It is therefore built once and then kept for
+ * ROLE_INDEX_STALE_MS; every change made from the dashboard invalidates it sooner.
+ */
+
+export const ROLE_MEMBERS_PAGE_SIZE = 500;
+
+// Members only change through edits (which invalidate the index) or other admins
+export const ROLE_INDEX_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * @param {KeycloakAdminService} adminService
+ * @param {string[]} roleNames
+ * @returns {Promise<Map<string, Set<string>>>} role name -> user ids
+ */
+export async function buildRoleMemberIndex(adminService, roleNames) {
+    const entries = await Promise.all(roleNames.map(async (name) => {
+        const ids = new Set();
+        for (let first = 0; ; first += ROLE_MEMBERS_PAGE_SIZE) {
+            const page = await adminService.getRoleUsers(name, first, ROLE_MEMBERS_PAGE_SIZE, { brief: true });
+            page.forEach(u => ids.add(u.id));
+            if (page.length < ROLE_MEMBERS_PAGE_SIZE) break;
+        }
+        return [name, ids];
+    }));
+    return new Map(entries);
+}
+
+/**
+ * Indexed roles held by a user, in index order
+ */
+export function rolesOfUser(index, userId) {
+    return [...index].filter(([, ids]) => ids.has(userId)).map(([name]) => name);
+}
+
+/**
+ * Patch the index after one user's roles changed, from that user's current role names
+ */
+export function updateUserInIndex(index, userId, roleNames) {
+    index.forEach((ids, name) => {
+        if (roleNames.includes(name)) ids.add(userId);
+        else ids.delete(userId);
+    });
+}
@@ -0,0 +1,74 @@
+/**
+ * Minimal client-side routing on top of the History API.
+ * Paths are app-relative ("/users/123"); the Vite base path is added and
+ * stripped here so the app can be served from a sub-directory.
+ *
+ * The host must answer every route with index.html (the Vite dev server does).
+ */
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+const NAVIGATE_EVENT = 'app:navigate';
+
+export const DEFAULT_PATH = '/users';
+
+// First match wins; ":name" segments become params
+export const ROUTES = [
+    { name: 'users', path: '/users' },
+    { name: 'user', path: '/users/:id' },
+    { name: 'groups', path: '/groups' },
+    { name: 'roles', path: '/roles' },
+    { name: 'audit', path: '/audit' },
+    { name: 'analytics', path: '/audit/analytics' },
+    { name: 'adminEvents', path: '/admin-events' },
+    { name: 'profile', path: '/profile' }
+];
+
+export function toHref(path) {
+    return `${BASE}${path}`;
+}
+
+export function appPath(pathname = window.location.pathname) {
+    const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname;
+    return path.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * @returns {{ name: string, params: object } | null}
+ */
+export function matchRoute(path) {
+    const segments = path.split('/').filter(Boolean);
+    for (const route of ROUTES) {
+        const pattern = route.path.split('/').filter(Boolean);
+        if (pattern.length !== segments.length) continue;
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(segments[i]);
+                return true;
+            }
+            return part === segments[i];
+        });
+        if (matches) return { name: route.name, params };
+    }
+    return null;
+}
+
+/**
+ * Go to an app path (may include a query string)
+ */
+export function navigate(path, { replace = false } = {}) {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', toHref(path));
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * Call `onChange` after navigate() and browser back/forward. Returns an unsubscribe function.
+ */
+export function subscribeToNavigation(onChange) {
+    window.addEventListener('popstate', onChange);
+    window.addEventListener(NAVIGATE_EVENT, onChange);
+    return () => {
+        window.removeEventListener('popstate', onChange);
+        window.removeEventListener(NAVIGATE_EVENT, onChange);
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * Deployment configuration, read at startup so one build can serve every environment.
+ * Sources, first match wins:
+ *   1. config.json next to index.html (see public/config.example.json)
+ *   2. VITE_KEYCLOAK_* variables baked in at build time
+ *   3. the local development defaults below
+ *
+ * config.json:
+ * {
+ *   "defaultEnvironment": "dev",
+ *   "environments": {
+ *     "dev":  { "label": "Development", "url": "http://127.0.0.1:8080/", "realm": "my-react-app", "clientId": "react-app" },
+ *     "prod": { "label": "Production", "url": "https://sso.example.org/", "realm": "master", "clientId": "admin-dashboard",
+ *               "adminRealms": ["clinic-a", "clinic-b"] }
+ *   }
+ * }
+ * `realm` is where admins log in; `adminRealms` are the realms they manage
+ * (defaults to the login realm). A single environment may be given without
+ * the "environments" wrapper.
+ *
+ * `managedRoles` (top level, or per environment to override) lists the realm
+ * roles the dashboard may assign, with an optional badge label and color:
+ *   "managedRoles": ["nurse", { "name": "doctor", "label": "Doctor", "color": "#0ea5e9" }]
+ */
+
+const DEV_DEFAULTS = {
+    label: 'Local',
+    url: 'http://127.0.0.1:8080/',
+    realm: 'my-react-app',
+    clientId: 'react-app'
+};
+
+// What the dashboard assigned before roles became configurable
+const DEFAULT_MANAGED_ROLES = [
+    { name: 'admin', color: '#7c3aed' },
+    { name: 'doctor', color: '#0ea5e9' },
+    'doctoradmin'
+];
+
+export const DEFAULT_ROLE_COLOR = '#475569';
+
+const STORAGE_KEY = 'keycloak-dashboard.selection';
+
+function normalizeManagedRoles(list) {
+    if (!Array.isArray(list)) throw new Error('"managedRoles" must be a list of role names or { name, label, color }.');
+    return list.map(entry => {
+        const role = typeof entry === 'string' ? { name: entry } : entry;
+        if (!role?.name) throw new Error('Every entry in "managedRoles" needs a name.');
+        return { name: role.name, label: role.label || role.name, color: role.color || DEFAULT_ROLE_COLOR };
+    });
+}
+
+function normalizeEnvironment(key, env, managedRoles) {
+    if (!env?.url || !env?.realm || !env?.clientId) {
+        throw new Error(`Environment "${key}" needs url, realm and clientId.`);
+    }
+    return {
+        key,
+        label: env.label || key,
+        url: env.url,
+        realm: env.realm,
+        clientId: env.clientId,
+        adminRealms: env.adminRealms?.length ? env.adminRealms : [env.realm],
+        managedRoles: normalizeManagedRoles(env.managedRoles || managedRoles)
+    };
+}
+
+function normalizeConfig(raw, source) {
+    const environments = Object.fromEntries(
+        Object.entries(raw.environments || { default: raw })
+            .map(([key, env]) => [key, normalizeEnvironment(key, env, raw.managedRoles || DEFAULT_MANAGED_ROLES)])
+    );
+    const keys = Object.keys(environments);
+    if (keys.length === 0) throw new Error(`No environments configured in ${source}.`);
+    return {
+        source,
+        environments,
+        defaultEnvironment: environments[raw.defaultEnvironment] ? raw.defaultEnvironment : keys[0]
+    };
+}
+
+function fromViteEnv() {
+    const env = import.meta.env;
+    if (!env.VITE_KEYCLOAK_URL) return null;
+    const name = env.VITE_ENVIRONMENT_NAME || 'default';
+    const managedRoles = (env.VITE_MANAGED_ROLES || '').split(',').map(r => r.trim()).filter(Boolean);
+    return {
+        defaultEnvironment: name,
+        managedRoles: managedRoles.length ? managedRoles : undefined,
+        environments: {
+            [name]: {
+                label: env.VITE_ENVIRONMENT_LABEL || name,
+                url: env.VITE_KEYCLOAK_URL,
+                realm: env.VITE_KEYCLOAK_REALM,
+                clientId: env.VITE_KEYCLOAK_CLIENT_ID,
+                adminRealms: (env.VITE_KEYCLOAK_ADMIN_REALMS || '').split(',').map(r => r.trim()).filter(Boolean)
+            }
+        }
+    };
+}
+
+/**
+ * Resolve the configuration. A missing config.json falls through to the next
+ * source; an invalid one is an error, so a typo never silently points at dev.
+ */
+export async function loadRuntimeConfig() {
+    const url = `${import.meta.env.BASE_URL}config.json`;
+    let response = null;
+    try {
+        response = await fetch(url, { cache: 'no-store' });
+    } catch (err) {
+        console.warn(`Could not fetch ${url}`, err);
+    }
+    // The dev server answers unknown paths with index.html, so check the type as well
+    if (response?.ok && response.headers.get('content-type')?.includes('json')) {
+        return normalizeConfig(await response.json(), url);
+    }
+
+    const viteConfig = fromViteEnv();
+    if (viteConfig) return normalizeConfig(viteConfig, 'VITE_KEYCLOAK_* variables');
+
+    return normalizeConfig(DEV_DEFAULTS, 'built-in defaults');
+}
+
+/**
+ * Last chosen environment and managed realm, if still valid for `config`
+ */
+export function loadSelection(config) {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        // Corrupt entry: start from the defaults
+    }
+    const environment = config.environments[saved.environment] ? saved.environment : config.defaultEnvironment;
+    const { adminRealms } = config.environments[environment];
+    return {
+        environment,
+        adminRealm: adminRealms.includes(saved.adminRealm) ? saved.adminRealm : adminRealms[0]
+    };
+}
+
+export function saveSelection(selection) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(selection));
+}
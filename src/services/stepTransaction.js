@@ -0,0 +1,85 @@
+/**
+ * Runs a multi-step Admin API workflow (e.g. create user -> set password -> assign roles)
+ * where a failure half-way must not silently leave partial state behind.
+ *
+ * Each step: { key, label, run(ctx), rollback?(ctx), skip? }
+ * - run() may store results on the shared `ctx` (e.g. ctx.userId) for later steps.
+ * - rollback() undoes a completed step; it is called in reverse order.
+ *
+ * Step status: 'pending' | 'running' | 'done' | 'failed' | 'skipped' | 'rolledBack'
+ * The UI subscribes through `onChange(steps)` and can then retry() or rollback().
+ */
+export default class StepTransaction {
+    constructor(steps, onChange = () => {}) {
+        this.ctx = {};
+        this.onChange = onChange;
+        this.steps = steps.map(step => ({
+            ...step,
+            status: step.skip ? 'skipped' : 'pending',
+            error: null
+        }));
+    }
+
+    _set(index, patch) {
+        this.steps = this.steps.map((step, i) => (i === index ? { ...step, ...patch } : step));
+        this.onChange(this.steps);
+    }
+
+    get failedStep() {
+        return this.steps.find(step => step.status === 'failed') || null;
+    }
+
+    get completed() {
+        return this.steps.every(step => step.status === 'done' || step.status === 'skipped');
+    }
+
+    /**
+     * Run every pending step from the start (or from the failed one after a retry).
+     * Resolves to true on success, false when a step failed (see failedStep).
+     */
+    async run() {
+        for (let i = 0; i < this.steps.length; i++) {
+            const step = this.steps[i];
+            if (step.status !== 'pending' && step.status !== 'failed') continue;
+
+            this._set(i, { status: 'running', error: null });
+            try {
+                await step.run(this.ctx);
+                this._set(i, { status: 'done' });
+            } catch (error) {
+                this._set(i, { status: 'failed', error });
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Re-run from the failed step, keeping the steps already done
+     */
+    async retry() {
+        return this.run();
+    }
+
+    /**
+     * Undo completed steps in reverse order and mark them 'rolledBack'.
+     * A rollback failure is recorded on that step and rethrown.
+     */
+    async rollback() {
+        for (let i = this.steps.length - 1; i >= 0; i--) {
+            const step = this.steps[i];
+            if (step.status !== 'done' && step.status !== 'failed') continue;
+
+            if (step.status === 'done' && step.rollback) {
+                this._set(i, { status: 'running' });
+                try {
+                    await step.rollback(this.ctx);
+                } catch (error) {
+                    this._set(i, { status: 'done', error });
+                    throw error;
+                }
+            }
+            this._set(i, { status: 'rolledBack', error: null });
+        }
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * User search filter model shared by UserManager and its search bar.
+ * The shape matches what KeycloakAdminService.getUsers / getUsersCount accept.
+ */
+
+export const EMPTY_USER_FILTERS = {
+    search: '',
+    username: '',
+    email: '',
+    firstName: '',
+    lastName: '',
+    exact: false,
+    enabled: undefined,       // undefined = any, true / false
+    emailVerified: undefined,
+    idpAlias: '',
+    attributes: {}            // { key: value } -> q=key:value
+};
+
+/**
+ * Parse "key:value key2:value2" into { key: value, key2: value2 }
+ */
+export function parseAttributeQuery(text) {
+    const attributes = {};
+    text.split(/\s+/).forEach(pair => {
+        const idx = pair.indexOf(':');
+        if (idx > 0) attributes[pair.slice(0, idx)] = pair.slice(idx + 1);
+    });
+    return attributes;
+}
+
+/**
+ * Inverse of parseAttributeQuery
+ */
+export function formatAttributeQuery(attributes = {}) {
+    return Object.entries(attributes).map(([key, value]) => `${key}:${value}`).join(' ');
+}
+
+/**
+ * Number of filters set besides the free-text search box
+ */
+export function countAdvancedFilters(filters) {
+    return Object.entries(filters)
+        .filter(([key]) => key !== 'search' && key !== 'exact')
+        .filter(([, value]) => value !== undefined && value !== '' && !(typeof value === 'object' && Object.keys(value).length === 0))
+        .length;
+}
+
+// Keycloak only combines free-text `search` with `enabled`; it ignores these when search is set
+export const FIELD_FILTER_KEYS = ['username', 'email', 'firstName', 'lastName', 'exact', 'emailVerified', 'idpAlias', 'attributes'];
+
+/**
+ * Field filters that are set but ignored because free-text search is in use
+ */
+export function ignoredFieldFilters(filters) {
+    if (!filters.search?.trim()) return [];
+    return FIELD_FILTER_KEYS.filter(key => {
+        const value = filters[key];
+        return value !== undefined && value !== '' && value !== false &&
+            !(typeof value === 'object' && Object.keys(value).length === 0);
+    });
+}
+
+const includesText = (value, term, exact) => {
+    const a = `${value ?? ''}`.toLowerCase();
+    const b = term.trim().toLowerCase();
+    return exact ? a === b : a.includes(b);
+};
+
+/**
+ * Client-side counterpart of the /users query, for user lists the server can't filter
+ * (e.g. the holders of a role). Substring matching like Keycloak's non-exact search;
+ * `idpAlias` can't be checked on a user representation, so callers must handle it.
+ */
+export function matchesUserFilters(user, filters) {
+    if (typeof filters.enabled === 'boolean' && !!user.enabled !== filters.enabled) return false;
+    if (filters.search?.trim()) {
+        return ['username', 'email', 'firstName', 'lastName'].some(key => includesText(user[key], filters.search, false));
+    }
+    if (typeof filters.emailVerified === 'boolean' && !!user.emailVerified !== filters.emailVerified) return false;
+    const fieldsMatch = ['username', 'email', 'firstName', 'lastName']
+        .every(key => !filters[key]?.trim() || includesText(user[key], filters[key], filters.exact));
+    const attributesMatch = Object.entries(filters.attributes || {})
+        .every(([key, value]) => [].concat(user.attributes?.[key] ?? []).includes(`${value}`.trim()));
+    return fieldsMatch && attributesMatch;
+}
+
+export function hasActiveFilters(filters) {
+    return !!filters.search?.trim() || countAdvancedFilters(filters) > 0;
+}
+
+// text filter key -> URL query parameter
+const QUERY_KEYS = {
+    search: 'q',
+    username: 'username',
+    email: 'email',
+    firstName: 'first',
+    lastName: 'last',
+    idpAlias: 'idp'
+};
+const BOOLEAN_QUERY_KEYS = { enabled: 'enabled', emailVerified: 'verified' };
+
+/**
+ * Read filters from a query string (e.g. window.location.search), so a search can be bookmarked
+ */
+export function userFiltersFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...EMPTY_USER_FILTERS };
+    Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value) filters[key] = value;
+    });
+    Object.entries(BOOLEAN_QUERY_KEYS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value === 'true' || value === 'false') filters[key] = value === 'true';
+    });
+    filters.exact = params.get('exact') === 'true';
+    if (params.get('attr')) filters.attributes = parseAttributeQuery(params.get('attr'));
+    return filters;
+}
+
+/**
+ * Write filters into `params` (a URLSearchParams), replacing earlier user filter keys
+ * and leaving unrelated parameters alone. Empty filters are omitted.
+ */
+export function writeUserFiltersToQuery(filters, params) {
+    [...Object.values(QUERY_KEYS), ...Object.values(BOOLEAN_QUERY_KEYS), 'exact', 'attr'].forEach(k => params.delete(k));
+    Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+        if (filters[key]) params.set(param, filters[key]);
+    });
+    Object.entries(BOOLEAN_QUERY_KEYS).forEach(([key, param]) => {
+        if (filters[key] !== undefined) params.set(param, String(filters[key]));
+    });
+    if (filters.exact) params.set('exact', 'true');
+    const attributes = formatAttributeQuery(filters.attributes);
+    if (attributes) params.set('attr', attributes);
+    return params;
+}
@@ -0,0 +1,279 @@
+/**
+ * Bulk user import: parse a CSV/JSON file into records, validate them against the
+ * realm in a dry run, then create (or update) the accounts with limited concurrency.
+ *
+ * CSV columns: username, email, firstName, lastName, enabled, roles, groups, password,
+ * temporary, and one `attr:<name>` column per attribute. Lists (roles, group paths,
+ * multi-valued attributes) are separated by ";".
+ * JSON: an array of objects with the same fields, where lists may be arrays and
+ * `attributes` is a { name: value | [values] } map.
+ */
+import { parseCsv, CsvWriter } from './csv';
+import { mapWithConcurrency } from './concurrency';
+import { ErrorKind } from './keycloakAdminError';
+
+export const IMPORT_CONCURRENCY = 4;
+
+export const CONFLICT_POLICIES = {
+    skip: 'Skip existing users',
+    update: 'Update existing users',
+    fail: 'Fail if any user already exists'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ATTRIBUTE_PREFIX = 'attr:';
+
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : `${value}`.split(';');
+    return items.map(v => `${v}`.trim()).filter(Boolean);
+};
+
+const toBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (typeof value === 'boolean') return value;
+    return !['false', 'no', '0', 'n'].includes(`${value}`.trim().toLowerCase());
+};
+
+function toRecord(raw, line) {
+    const attributes = {};
+    Object.entries(raw.attributes || {}).forEach(([key, value]) => {
+        attributes[key] = toList(value);
+    });
+    Object.entries(raw).forEach(([key, value]) => {
+        if (key.startsWith(ATTRIBUTE_PREFIX) && key.length > ATTRIBUTE_PREFIX.length) {
+            const values = toList(value);
+            if (values.length) attributes[key.slice(ATTRIBUTE_PREFIX.length)] = values;
+        }
+    });
+
+    return {
+        line,
+        username: `${raw.username ?? ''}`.trim(),
+        email: `${raw.email ?? ''}`.trim(),
+        firstName: `${raw.firstName ?? ''}`.trim(),
+        lastName: `${raw.lastName ?? ''}`.trim(),
+        // undefined when the file has no value: new users default to enabled, existing ones keep theirs
+        enabled: toBoolean(raw.enabled, undefined),
+        attributes,
+        roles: toList(raw.roles),
+        groups: toList(raw.groups).map(p => (p.startsWith('/') ? p : `/${p}`)),
+        password: raw.password ? `${raw.password}` : '',
+        temporary: toBoolean(raw.temporary ?? raw.temporaryPassword, true)
+    };
+}
+
+/**
+ * File contents -> records. JSON when the name ends in .json or the text starts with "[",
+ * CSV otherwise. Throws on malformed JSON.
+ */
+export function parseImportFile(text, filename = '') {
+    const trimmed = text.trim();
+    if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        const list = Array.isArray(parsed) ? parsed : parsed.users;
+        if (!Array.isArray(list)) throw new Error('Expected a JSON array of users (or { "users": [...] }).');
+        return list.map((raw, i) => toRecord(raw || {}, `#${i + 1}`));
+    }
+    return parseCsv(text).map(({ line, row }) => toRecord(row, line));
+}
+
+/**
+ * Validate every record before anything is written.
+ * Only `managedRoles` (the deployment's managedRoles, as UserManager assigns them) may be granted;
+ * any other role in the file is an error.
+ * Returns { rows: [{ record, issues: [{ severity, message }], action, existingId, roles, groups }], errors, warnings }
+ * action: 'create' | 'update' | 'skip' | 'invalid'
+ */
+export async function planImport(adminService, records, conflictPolicy, { managedRoles = [], onProgress, signal } = {}) {
+    const assignable = new Set(managedRoles.map(r => r.name));
+    const realmRoles = new Map((await adminService.getRealmRoles())
+        .filter(r => assignable.has(r.name))
+        .map(r => [r.name, r]));
+
+    // Each distinct group path and username is looked up once
+    const groupPaths = [...new Set(records.flatMap(r => r.groups))];
+    const usernames = [...new Set(records.map(r => r.username.toLowerCase()).filter(Boolean))];
+    const total = groupPaths.length + usernames.length;
+    let done = 0;
+    const tick = () => onProgress?.({ done: ++done, total, failed: 0 });
+
+    const groupResults = await mapWithConcurrency(groupPaths, IMPORT_CONCURRENCY, async (path) => {
+        try {
+            return await adminService.getGroupByPath(path);
+        } catch (err) {
+            if (err.kind === ErrorKind.NOT_FOUND) return null;
+            throw err;
+        } finally {
+            tick();
+        }
+    }, { signal });
+    const groups = new Map(groupResults.map(r => {
+        if (!r.ok) throw r.error;
+        return [r.item, r.value];
+    }));
+
+    const userResults = await mapWithConcurrency(usernames, IMPORT_CONCURRENCY, async (username) => {
+        try {
+            const [existing] = await adminService.getUsers(0, 1, { username, exact: true });
+            return existing || null;
+        } finally {
+            tick();
+        }
+    }, { signal });
+    const existingUsers = new Map(userResults.map(r => {
+        if (!r.ok) throw r.error;
+        return [r.item, r.value];
+    }));
+
+    const firstLineOf = (key) => {
+        const seen = new Map();
+        return (value, line) => {
+            if (!value) return null;
+            const k = key(value);
+            if (seen.has(k)) return seen.get(k);
+            seen.set(k, line);
+            return null;
+        };
+    };
+    const usernameSeen = firstLineOf(v => v.toLowerCase());
+    const emailSeen = firstLineOf(v => v.toLowerCase());
+
+    let errors = 0;
+    let warnings = 0;
+    const rows = records.map(record => {
+        const issues = [];
+        const error = (message) => issues.push({ severity: 'error', message });
+        const warning = (message) => issues.push({ severity: 'warning', message });
+
+        if (!record.username) error('Missing username');
+        const duplicateOf = usernameSeen(record.username, record.line);
+        if (duplicateOf !== null) error(`Duplicate username (first on line ${duplicateOf})`);
+
+        if (record.email && !EMAIL_PATTERN.test(record.email)) error(`Invalid email "${record.email}"`);
+        const emailDuplicateOf = emailSeen(record.email, record.line);
+        if (emailDuplicateOf !== null) error(`Duplicate email (first on line ${emailDuplicateOf})`);
+
+        const unmanagedRoles = record.roles.filter(name => !assignable.has(name));
+        if (unmanagedRoles.length) error(`Role(s) not assignable from this dashboard: ${unmanagedRoles.join(', ')}`);
+        const unknownRoles = record.roles.filter(name => assignable.has(name) && !realmRoles.has(name));
+        if (unknownRoles.length) error(`Unknown role(s): ${unknownRoles.join(', ')}`);
+        const unknownGroups = record.groups.filter(path => !groups.get(path));
+        if (unknownGroups.length) error(`Unknown group(s): ${unknownGroups.join(', ')}`);
+
+        if (!record.password && !record.email) warning('No password and no email: nobody can log in with this account yet');
+
+        const existing = existingUsers.get(record.username.toLowerCase()) || null;
+        let action = 'create';
+        if (existing) {
+            if (conflictPolicy === 'skip') {
+                warning('User already exists and will be skipped');
+                action = 'skip';
+            } else if (conflictPolicy === 'update') {
+                warning('User already exists and will be updated');
+                if (record.enabled !== undefined && record.enabled !== existing.enabled) {
+                    warning(record.enabled ? 'Disabled account will be re-enabled' : 'Account will be disabled');
+                }
+                action = 'update';
+            } else {
+                error('User already exists');
+            }
+        }
+
+        if (issues.some(i => i.severity === 'error')) action = 'invalid';
+        errors += issues.filter(i => i.severity === 'error').length;
+        warnings += issues.filter(i => i.severity === 'warning').length;
+
+        return {
+            record,
+            issues,
+            action,
+            existingId: existing?.id || null,
+            roles: record.roles.map(name => realmRoles.get(name)).filter(Boolean),
+            groups: record.groups.map(path => groups.get(path)).filter(Boolean)
+        };
+    });
+
+    return { rows, errors, warnings };
+}
+
+async function applyRow(adminService, row) {
+    const { record } = row;
+    let userId = row.existingId;
+
+    if (row.action === 'create') {
+        userId = await adminService.createUser({
+            username: record.username,
+            email: record.email || undefined,
+            firstName: record.firstName || undefined,
+            lastName: record.lastName || undefined,
+            enabled: record.enabled ?? true,
+            attributes: record.attributes
+        });
+    } else {
+        // Only overwrite what the file provides; attributes are merged
+        const current = await adminService.getUser(userId);
+        const changes = { attributes: { ...current.attributes, ...record.attributes } };
+        if (record.enabled !== undefined) changes.enabled = record.enabled;
+        ['email', 'firstName', 'lastName'].forEach(field => {
+            if (record[field]) changes[field] = record[field];
+        });
+        await adminService.updateUser(userId, changes);
+    }
+
+    // Later steps failing leave the account in place; the report says what is missing
+    const step = async (label, fn) => {
+        try {
+            await fn();
+        } catch (err) {
+            err.importStep = label;
+            err.userId = userId;
+            throw err;
+        }
+    };
+    if (record.password) {
+        await step('password', () => adminService.resetPassword(userId, record.password, { temporary: record.temporary }));
+    }
+    if (row.roles.length) {
+        await step('roles', () => adminService.addRealmRoleMappings(userId, row.roles));
+    }
+    for (const group of row.groups) {
+        await step(`group ${group.path}`, () => adminService.addUserToGroup(userId, group.id));
+    }
+    return userId;
+}
+
+/**
+ * Apply a plan from planImport. Rows marked 'create' or 'update' are written;
+ * 'skip' rows are reported as skipped.
+ * Returns [{ line, username, status: 'created' | 'updated' | 'skipped' | 'failed', userId, message }]
+ */
+export async function runImport(adminService, plan, { onProgress, signal } = {}) {
+    const toApply = plan.rows.filter(r => r.action === 'create' || r.action === 'update');
+    const results = await mapWithConcurrency(toApply, IMPORT_CONCURRENCY, row => applyRow(adminService, row), { onProgress, signal });
+    const byRow = new Map(results.map(r => [r.item, r]));
+
+    return plan.rows.filter(r => r.action !== 'invalid').map(row => {
+        const base = { line: row.record.line, username: row.record.username };
+        if (row.action === 'skip') return { ...base, status: 'skipped', userId: row.existingId, message: 'Already exists' };
+
+        const result = byRow.get(row);
+        if (result.ok) {
+            return { ...base, status: row.action === 'create' ? 'created' : 'updated', userId: result.value, message: '' };
+        }
+        const err = result.error;
+        const reason = err.errorMessage || err.message;
+        return {
+            ...base,
+            status: 'failed',
+            userId: err.userId || row.existingId,
+            message: err.importStep ? `User saved, but ${err.importStep} failed: ${reason}` : reason
+        };
+    });
+}
+
+export function importResultsToCsv(results) {
+    const writer = new CsvWriter(['line', 'username', 'status', 'userId', 'message']);
+    writer.addRows(results);
+    return writer.toBlob();
+}
@@ -0,0 +1,71 @@
+/**
+ * Helpers for the user profile form: converting Keycloak's multi-valued attribute map
+ * to editable rows, and computing the minimal PUT /users/{id} payload.
+ */
+
+// Top-level UserRepresentation fields editable from the dashboard
+export const PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'enabled', 'emailVerified'];
+
+// Required actions an admin can put on a user (aliases of Keycloak's built-in actions)
+export const REQUIRED_ACTIONS = [
+    { alias: 'UPDATE_PASSWORD', label: 'Update password' },
+    { alias: 'VERIFY_EMAIL', label: 'Verify email' },
+    { alias: 'CONFIGURE_TOTP', label: 'Configure OTP' },
+    { alias: 'UPDATE_PROFILE', label: 'Update profile' }
+];
+
+// execute-actions-email options; lifespan in seconds (Keycloak's default is 12 hours)
+export const DEFAULT_ACTION_EMAIL_OPTIONS = { lifespan: 43200, clientId: '', redirectUri: '' };
+
+/**
+ * { dept: ['a', 'b'] } -> [{ key: 'dept', value: 'a' }, { key: 'dept', value: 'b' }]
+ * One row per value, so multi-valued attributes are simply repeated keys.
+ */
+export function attributesToRows(attributes = {}) {
+    return Object.entries(attributes || {}).flatMap(([key, values]) =>
+        (Array.isArray(values) ? values : [values]).map(value => ({ key, value: `${value}` }))
+    );
+}
+
+/**
+ * Inverse of attributesToRows. Rows without a key are dropped; empty values are kept
+ * out so an attribute can be removed by clearing its last value.
+ */
+export function rowsToAttributes(rows = []) {
+    const attributes = {};
+    rows.forEach(({ key, value }) => {
+        const k = key.trim();
+        if (!k || value === '') return;
+        (attributes[k] = attributes[k] || []).push(value);
+    });
+    return attributes;
+}
+
+function sameAttributes(a = {}, b = {}) {
+    const keysA = Object.keys(a || {}).sort();
+    const keysB = Object.keys(b || {}).sort();
+    if (keysA.join('\u0000') !== keysB.join('\u0000')) return false;
+    return keysA.every(k => (a[k] || []).join('\u0000') === (b[k] || []).join('\u0000'));
+}
+
+/**
+ * Build the partial update for PUT /users/{id}: only fields that differ from `original`.
+ * Returns an empty object when nothing changed.
+ */
+export function diffUserProfile(original, profile) {
+    const changes = {};
+    PROFILE_FIELDS.forEach(field => {
+        const before = original[field] ?? (typeof profile[field] === 'boolean' ? false : '');
+        if (profile[field] !== before) {
+            changes[field] = profile[field];
+        }
+    });
+    if (!sameAttributes(original.attributes, profile.attributes)) {
+        changes.attributes = profile.attributes;
+    }
+    if (profile.requiredActions &&
+        [...(original.requiredActions || [])].sort().join(',') !== [...profile.requiredActions].sort().join(',')) {
+        changes.requiredActions = profile.requiredActions;
+    }
+    return changes;
+}
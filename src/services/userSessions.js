@@ -0,0 +1,43 @@
+/**
+ * Online and offline sessions of a user in one list.
+ * Offline sessions are listed per client, so the clients holding an offline
+ * token are found through the user's consents first.
+ * Returns [{ id, ipAddress, start, lastAccess, clients: [clientId], offline }]
+ */
+export async function loadUserSessions(adminService, userId) {
+    const [online, consents] = await Promise.all([
+        adminService.getUserSessions(userId),
+        adminService.getUserConsents(userId).catch(err => {
+            console.warn('Could not read consents, offline sessions are not listed', err);
+            return [];
+        })
+    ]);
+
+    const offlineConsents = consents.filter(c => c.additionalGrants?.some(g => g.key === 'Offline Token'));
+    const offlinePerClient = await Promise.all(offlineConsents.map(async consent => {
+        const candidates = await adminService.getClients(consent.clientId, 0, 20);
+        const client = (candidates || []).find(c => c.clientId === consent.clientId);
+        return client ? adminService.getUserOfflineSessions(userId, client.id) : [];
+    }));
+
+    // One offline session can serve several clients and is then returned once per client
+    const offline = new Map();
+    offlinePerClient.flat().forEach(session => {
+        const known = offline.get(session.id);
+        offline.set(session.id, known ? { ...known, clients: { ...known.clients, ...session.clients } } : session);
+    });
+
+    const toRow = (session, isOffline) => ({
+        id: session.id,
+        ipAddress: session.ipAddress,
+        start: session.start,
+        lastAccess: session.lastAccess,
+        clients: Object.values(session.clients || {}),
+        offline: isOffline
+    });
+
+    return [
+        ...online.map(s => toRow(s, false)),
+        ...[...offline.values()].map(s => toRow(s, true))
+    ].sort((a, b) => b.lastAccess - a.lastAccess);
+}